@@ -4,9 +4,42 @@
  * Responsibilities:
  * - Register sidebar panel
  * - Handle extension icon click
- * - Relay messages between content script and sidebar for lazy loading
+ * - Own the run: dispatch items to the content script worker, record their
+ *   results, retry, pause/resume/stop, and recover from reloaded tabs
+ * - Serve queued images to the content script from IndexedDB (db.js)
+ * - Remove a run's stored images once nothing in it can be retried
+ * - Keep the run history (db.js) up to date as runs progress
+ * - Store the structured log (log.js) of all parts in a ring buffer
+ * - Save generated videos and images through chrome.downloads
+ * - Resume rate-limited runs when their cool-down alarm fires
+ * - Start scheduled runs from chrome.alarms (works with the sidebar closed)
  */
 
+importScripts('db.js', 'log.js');
+
+const DOWNLOAD_DEFAULTS = {
+    autoDownload: true,
+    filenameTemplate: 'meta-ai/{run}/{index}_{imageName}_{promptSlug}.mp4'
+};
+
+const DOWNLOAD_MAX_RETRIES = 3;     // Re-attempts after an interrupted download
+const DOWNLOAD_RETRY_DELAY = 2000;  // Base delay, multiplied by the attempt number
+
+// Keep in sync with DEFAULT_RETRY_SETTINGS in sidebar.js
+const RETRY_DEFAULTS = { maxRetries: 2, baseDelay: 5000, maxDelay: 60000 };
+const ERROR_CONTINUE_DELAY = 1000;  // Brief pause before the next item after a failure
+
+const META_AI_ORIGIN = 'https://www.meta.ai';
+const META_AI_MEDIA_URL = `${META_AI_ORIGIN}/media`;
+
+const RUN_WATCHDOG_ALARM = 'runWatchdog';
+const RATE_LIMIT_ALARM = 'rateLimitResume';
+const SCHEDULE_ALARM_PREFIX = 'scheduledRun:';
+const SCHEDULE_BUSY_DELAY = 5 * 60000;  // Postponement while another run is still active
+
+// Keep in sync with PERSISTENT_LOCAL_KEYS in sidebar.js
+const PERSISTENT_LOCAL_KEYS = ['uploadStats', 'scheduledRuns', 'logs'];
+
 // Open sidebar when extension icon is clicked
 chrome.action.onClicked.addListener((tab) => {
     chrome.sidePanel.open({ tabId: tab.id });
@@ -21,20 +54,1330 @@ chrome.runtime.onInstalled.addListener(() => {
 });
 
 /**
- * Message relay for lazy loading
- * Content script requests image data -> Background relays to Sidebar -> Sidebar responds with base64
+ * Lazy loading of queued images
+ * Content script requests image data -> Background reads it from IndexedDB.
+ * Images missing from the database (e.g. storage failed at Start) are
+ * requested from the sidebar, which still holds the selected files.
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'GET_IMAGE_DATA') {
-        // Relay to all extension pages (sidebar will handle it)
+async function getImageData(message) {
+    const { runId } = await chrome.storage.local.get(['runId']);
+    if (runId) {
+        const record = await getRunImage(runId, message.index);
+        if (record) {
+            return {
+                success: true,
+                imageData: { name: record.name, type: record.type, data: await blobToDataUrl(record.blob) }
+            };
+        }
+    }
+    return relayToSidebar(message);
+}
+
+/**
+ * Relay a message to the extension pages (the sidebar answers it)
+ */
+function relayToSidebar(message) {
+    return new Promise((resolve) => {
         chrome.runtime.sendMessage(message, (response) => {
-            if (chrome.runtime.lastError) {
-                sendResponse({ success: false, error: 'Sidebar not available. Please keep sidebar open.' });
+            if (chrome.runtime.lastError || !response) {
+                resolve({ success: false, error: 'Image not found in storage and sidebar not available.' });
             } else {
-                sendResponse(response);
+                resolve(response);
             }
         });
-        return true; // Keep channel open for async response
+    });
+}
+
+/**
+ * Drop the stored images of the current run once it is over
+ * Runs with unfinished or failed items keep their images so items can still
+ * be retried from the queue; the next Start discards them.
+ */
+async function cleanupRunImages() {
+    const { runId, itemResults = {}, totalItems = 0 } =
+        await chrome.storage.local.get(['runId', 'itemResults', 'totalItems']);
+    if (!runId) return;
+
+    const succeeded = Object.values(itemResults).filter(r => r.status === 'success').length;
+    if (succeeded === totalItems) {
+        await deleteRunImages(runId);
+    }
+}
+
+/**
+ * Answer a message with the result of a promise
+ */
+function respondWith(promise, sendResponse) {
+    promise
+        .then(sendResponse)
+        .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep channel open for async response
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    switch (message.type) {
+        case 'GET_IMAGE_DATA':
+            return respondWith(getImageData(message), sendResponse);
+
+        case 'DOWNLOAD_OUTPUT':
+            return respondWith(startOutputDownload(message, sender.tab?.id), sendResponse);
+
+        // Sidebar commands
+        case 'START_RUN':
+            return respondWith(startRun(message.tabId), sendResponse);
+
+        case 'PAUSE_RUN':
+            return respondWith(pauseRun().then(state => ({ success: true, state })), sendResponse);
+
+        case 'STOP_RUN':
+            return respondWith(stopRun().then(() => ({ success: true })), sendResponse);
+
+        case 'QUEUE_ACTION':
+            return respondWith(applyQueueAction(message.action, message.index), sendResponse);
+
+        // Worker reports
+        case 'ITEM_CHECKPOINT':
+            return respondWith(recordCheckpoint(message), sendResponse);
+
+        case 'ITEM_RESULT':
+            recordItemResult(message);
+            return false;
+
+        case 'PROGRESS_UPDATE':
+            if (sender.tab) touchActiveItem(sender.tab.id);
+            return false;
+
+        case 'LOG_ENTRY':
+            if (isLogEntry(message.entry)) appendLogEntries([message.entry]);
+            return false;
+
+        case 'WORKER_READY':
+            chrome.storage.local.get(['runTabIds']).then(({ runTabIds = [] }) => {
+                if (runTabIds.includes(sender.tab?.id)) advanceRun();
+            });
+            return false;
     }
     return false;
 });
+
+// ============================================================================
+// RUN ORCHESTRATION
+// ============================================================================
+
+/*
+ * The background owns the run; content.js is a stateless worker that executes
+ * one item at a time (EXECUTE_ITEM) and reports back (ITEM_CHECKPOINT,
+ * ITEM_RESULT). A run can use several meta.ai/media tabs side by side, one
+ * item per tab. Everything lives in chrome.storage.local, so the run
+ * survives the service worker being suspended:
+ * - runState/isRunning, queueOrder, itemResults: the queue and item status
+ * - runTabIds:   the meta.ai tabs claimed by the run, in claim order; the
+ *                first is the tab the run was started in
+ * - runWindowId: the window of that tab; extra tabs open there
+ * - activeItems: { [tabId]: { index, dispatchId, tabId, dispatchedAt, lastSeenAt } }
+ *                for the items out with a worker
+ * - nextItemAt:  the earliest next dispatch (spread runs, after a failure);
+ *                retries wait for their own itemResults[index].retryAt
+ *
+ * A reload, navigation or closed tab loses its item, and a worker that shows
+ * no progress for ITEM_STALL_TIMEOUT is reloaded. Tab events, WORKER_READY and
+ * the watchdog alarm put such items back on the queue; the next worker
+ * continues them from their recorded step.
+ */
+
+// Keep in sync with DEFAULT_PARALLEL_SETTINGS in sidebar.js
+const PARALLEL_DEFAULTS = { maxTabs: 1 };
+const MAX_PARALLEL_TABS = 5;
+const ITEM_STALL_TIMEOUT = 10 * 60000;  // No checkpoint or progress for this long: the worker hangs
+
+let runLock = Promise.resolve();
+let advanceTimer = null;
+
+/**
+ * Run a state change once the previous one has finished
+ * Worker reports, sidebar commands and timers all read-modify-write the same keys.
+ */
+function withRunLock(task) {
+    const result = runLock.then(task);
+    runLock = result.catch(error => logEvent('error', `Run update failed: ${error.message}`));
+    return result;
+}
+
+/**
+ * Tell the sidebar about the run
+ */
+function notifyRun(message) {
+    chrome.runtime.sendMessage(message).catch(() => { /* Sidebar closed */ });
+}
+
+/**
+ * Merge fields into the stored state of an item (null removes it, making the item pending again)
+ * itemResults[index] = { status, startedAt, finishedAt, attempts, retryAt, tabId, mediaType, videoUrl,
+ *                        imageUrls, error, step, pageSession, submittedAt, knownVideoUrls, knownImageUrls }
+ * status: running | success | failed | timeout | skipped
+ */
+async function updateItemResult(index, fields) {
+    const { itemResults = {} } = await chrome.storage.local.get(['itemResults']);
+    if (fields) {
+        itemResults[index] = { ...itemResults[index], ...fields };
+    } else {
+        delete itemResults[index];
+    }
+    await chrome.storage.local.set({ itemResults });
+}
+
+/**
+ * Load the user's retry settings over the defaults
+ * @returns {Promise<{maxRetries: number, baseDelay: number}>}
+ */
+async function getRetryPolicy() {
+    const { retrySettings = {} } = await chrome.storage.sync.get(['retrySettings']);
+    return {
+        maxRetries: Number.isInteger(retrySettings.maxRetries) ? retrySettings.maxRetries : RETRY_DEFAULTS.maxRetries,
+        baseDelay: Number.isFinite(retrySettings.baseDelay) ? retrySettings.baseDelay : RETRY_DEFAULTS.baseDelay
+    };
+}
+
+/**
+ * Number of tabs a run may use; read at every dispatch, so a change applies to a running run
+ */
+async function getMaxTabs() {
+    const { parallelSettings = {} } = await chrome.storage.sync.get(['parallelSettings']);
+    const maxTabs = parseInt(parallelSettings.maxTabs, 10) || PARALLEL_DEFAULTS.maxTabs;
+    return Math.min(Math.max(maxTabs, 1), MAX_PARALLEL_TABS);
+}
+
+/**
+ * Exponential backoff with +/-20% jitter
+ * @param {number} retry - 1 for the first retry
+ */
+function getBackoffDelay(retry, baseDelay) {
+    const delay = Math.min(baseDelay * 2 ** (retry - 1), RETRY_DEFAULTS.maxDelay);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queue indices that still need processing, in queueOrder
+ * An item is pending while it has no result; a "running" result means it was
+ * interrupted (paused, rate limited, lost with its page) and continues.
+ */
+async function getPendingIndices() {
+    const { queueOrder, itemResults = {}, totalItems = 0 } =
+        await chrome.storage.local.get(['queueOrder', 'itemResults', 'totalItems']);
+    const order = queueOrder || Array.from({ length: totalItems }, (_, i) => i);
+    return order.filter(i => !itemResults[i] || itemResults[i].status === 'running');
+}
+
+/**
+ * Spread runs: reserve the start of the next item
+ * The rest of the window is divided evenly over the items not yet started
+ * (the last one starts at the end of the window), but never less than the
+ * minimum gap. Starts are spaced, so parallel tabs don't start in bursts.
+ * @param {{endAt: number, minGap: number}} spread
+ * @param {number} remaining - Items still to start after the one being dispatched
+ */
+async function scheduleSpreadSlot(spread, remaining) {
+    if (remaining === 0) return;
+
+    const gap = Math.max(spread.minGap, (spread.endAt - Date.now()) / remaining);
+    await chrome.storage.local.set({ nextItemAt: Date.now() + Math.round(gap) });
+}
+
+/**
+ * Ask the worker in a tab which dispatch it is executing
+ * @returns {Promise<string|null|undefined>} The dispatch id, null when idle, undefined when unreachable
+ */
+async function pingWorker(tabId) {
+    try {
+        const response = await chrome.tabs.sendMessage(tabId, { type: 'WORKER_STATUS' });
+        return response?.dispatchId ?? null;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Deliver a message to the worker in a tab, injecting the content script if
+ * the tab was opened before the extension loaded
+ * @returns {Promise<object|null>} The response, or null if the page is unreachable
+ */
+async function sendToWorker(tabId, message) {
+    try {
+        return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+        try {
+            await chrome.scripting.executeScript({ target: { tabId }, files: ['selectors.js', 'log.js', 'content.js'] });
+            // Wait a moment for the script to initialize
+            await new Promise(resolve => setTimeout(resolve, 500));
+            return await chrome.tabs.sendMessage(tabId, message);
+        } catch (injectError) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Whether a URL is a meta.ai/media page
+ * Parsed, so a URL that merely contains "meta.ai/media" (e.g. in its query) doesn't match.
+ * Keep in sync with isMetaAiMediaUrl in sidebar.js
+ */
+function isMetaAiMediaUrl(url) {
+    try {
+        const { origin, pathname } = new URL(url);
+        return origin === META_AI_ORIGIN && /^\/media(\/|$)/.test(pathname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Whether a tab shows (or is loading) meta.ai/media
+ * A tab that was just opened only has its pendingUrl
+ */
+function isAutomationTab(tab) {
+    return isMetaAiMediaUrl(tab.url || tab.pendingUrl);
+}
+
+/**
+ * Bring the run's tabs up to the number it can use
+ * Keeps the claimed tabs that still show meta.ai/media, claims other open
+ * meta.ai/media tabs (those in the run's window first), then opens new ones
+ * in the background. A new tab is only opened once the others have loaded,
+ * so a page that keeps redirecting away (e.g. to a login) can't make the run
+ * open tab after tab.
+ * @param {number[]} runTabIds - Tabs claimed so far
+ * @param {number} [runWindowId] - Window of the run's first tab
+ * @param {number} wanted - Tabs the run can use right now
+ * @returns {Promise<chrome.tabs.Tab[]>} The claimed tabs, in claim order
+ */
+async function claimRunTabs(runTabIds, runWindowId, wanted) {
+    const open = await chrome.tabs.query({});
+    const byId = new Map(open.map(tab => [tab.id, tab]));
+
+    const tabs = runTabIds.map(id => byId.get(id)).filter(tab => tab && isAutomationTab(tab));
+    const candidates = open.filter(tab => isAutomationTab(tab) && !tabs.includes(tab))
+        .sort((a, b) => (b.windowId === runWindowId) - (a.windowId === runWindowId));
+    for (const tab of candidates) {
+        if (tabs.length >= wanted) break;
+        tabs.push(tab);
+    }
+    if (tabs.length > 0 && tabs.length < wanted && tabs.every(tab => tab.status === 'complete')) {
+        tabs.push(await chrome.tabs.create({ url: META_AI_MEDIA_URL, active: false, windowId: tabs[0].windowId }));
+    }
+
+    // A lowered limit lets the extra tabs finish their item, then leaves them alone.
+    // The window follows the first tab, which may have been moved.
+    await chrome.storage.local.set({
+        runTabIds: tabs.map(tab => tab.id),
+        runWindowId: tabs[0]?.windowId ?? runWindowId
+    });
+    return tabs;
+}
+
+/**
+ * Start (or resume) the stored run
+ * The sidebar or a scheduled run has already stored the queue. Resuming a
+ * rate-limited run early makes the pending alarm a no-op.
+ * @param {number} [tabId] - First tab to run in; defaults to the run's tabs or any meta.ai/media tab
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function startRun(tabId) {
+    const started = await withRunLock(async () => {
+        const { runTabIds = [], runWindowId } = await chrome.storage.local.get(['runTabIds', 'runWindowId']);
+        const tab = await findAutomationTab(tabId ?? runTabIds[0], runWindowId);
+        if (!tab) {
+            return { success: false, error: 'No meta.ai/media tab is open' };
+        }
+
+        const { runStartedAt } = await chrome.storage.local.get(['runStartedAt']);
+        await chrome.storage.local.set({
+            isRunning: true,
+            runState: 'running',
+            runStartedAt: runStartedAt || Date.now(),
+            runTabIds: [tab.id, ...runTabIds.filter(id => id !== tab.id)],
+            runWindowId: tab.windowId
+        });
+        await chrome.storage.local.remove(['activeItems', 'rateLimit']);
+        await chrome.alarms.create(RUN_WATCHDOG_ALARM, { periodInMinutes: 0.5 });
+        await recordRunHistory();
+        return { success: true };
+    });
+
+    if (started.success) {
+        advanceRun();
+    }
+    return started;
+}
+
+/**
+ * Check on the items out with workers
+ * Items whose tab closed, reloaded or navigated away are dropped from
+ * activeItems, which puts them back on the queue. A worker that still holds
+ * its item but shows no progress is reloaded first.
+ * @returns {Promise<object>} The activeItems still in progress
+ */
+async function collectActiveItems(activeItems) {
+    const alive = {};
+    for (const active of Object.values(activeItems)) {
+        const dispatchId = await pingWorker(active.tabId);
+        if (dispatchId === active.dispatchId && Date.now() - active.lastSeenAt < ITEM_STALL_TIMEOUT) {
+            alive[active.tabId] = active;
+            continue;
+        }
+
+        if (dispatchId === active.dispatchId) {
+            logEvent('debug', `Tab ${active.tabId} stalled, reloading it`, { index: active.index });
+            chrome.tabs.reload(active.tabId).catch(() => { /* Tab gone */ });
+        } else {
+            logEvent('debug', `Tab ${active.tabId} lost the item, putting it back on the queue`, { index: active.index });
+        }
+        notifyRun({ type: 'ITEM_REQUEUED', index: active.index, tabId: active.tabId, stalled: dispatchId === active.dispatchId });
+    }
+
+    await chrome.storage.local.set({ activeItems: alive });
+    return alive;
+}
+
+/**
+ * Hand pending items to idle workers, or finish the run when none is left
+ *
+ * Safe to call at any time (timers, alarms, tab events, worker reports): it
+ * does nothing while the run isn't running, and only fills tabs without an
+ * item. Items lost with their page are handed out again here.
+ */
+function advanceRun() {
+    return withRunLock(async () => {
+        clearTimeout(advanceTimer);
+        const state = await chrome.storage.local.get([
+            'runId', 'runState', 'activeItems', 'nextItemAt', 'runTabIds', 'runWindowId', 'spread', 'queueMeta', 'prompts', 'totalItems', 'itemResults'
+        ]);
+        if (state.runState !== 'running' && state.runState !== 'pausing') return;
+
+        const activeItems = await collectActiveItems(state.activeItems || {});
+        const busyCount = Object.keys(activeItems).length;
+
+        // A requested pause is complete once no item is in flight
+        if (state.runState === 'pausing') {
+            if (busyCount === 0) await finishRun('paused');
+            return;
+        }
+
+        const inFlight = new Set(Object.values(activeItems).map(active => active.index));
+        const pending = (await getPendingIndices()).filter(i => !inFlight.has(i));
+        if (pending.length === 0) {
+            if (busyCount === 0) await finishRun('complete');
+            return;
+        }
+
+        // Retries wait out their backoff; the queue order is kept otherwise
+        const results = state.itemResults || {};
+        const now = Date.now();
+        const ready = pending.filter(i => !(results[i]?.retryAt > now));
+        const wakeAt = Math.min(
+            state.nextItemAt > now ? state.nextItemAt : Infinity,
+            ...pending.map(i => results[i]?.retryAt).filter(at => at > now)
+        );
+
+        if (ready.length === 0 || state.nextItemAt > now) {
+            if (Number.isFinite(wakeAt)) {
+                advanceTimer = setTimeout(advanceRun, wakeAt - now);
+            }
+            return;
+        }
+
+        const wanted = Math.min(await getMaxTabs(), busyCount + ready.length);
+        const tabs = (await claimRunTabs(state.runTabIds || [], state.runWindowId, wanted)).slice(0, wanted);
+
+        // A loading tab announces itself with WORKER_READY; the watchdog covers the rest
+        const idleTabs = tabs.filter(tab => !activeItems[tab.id] && tab.status === 'complete');
+        const retryPolicy = await getRetryPolicy();
+
+        for (const tab of idleTabs) {
+            const index = ready.shift();
+            if (index === undefined) break;
+
+            const saved = results[index]?.status === 'running' ? results[index] : null;
+            if (!saved) {
+                await updateItemResult(index, { status: 'running', startedAt: Date.now(), finishedAt: null, error: null, attempts: 1 });
+            }
+
+            // Prompt-only items have no image name. Old runs without queueMeta always have images.
+            const meta = state.queueMeta?.[index];
+            const dispatchId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const response = await sendToWorker(tab.id, {
+                type: 'EXECUTE_ITEM',
+                dispatchId,
+                runId: state.runId,
+                index,
+                total: state.totalItems,
+                item: {
+                    prompt: state.prompts?.[index] || '',
+                    mode: meta?.mode === 'image' ? 'image' : 'video',
+                    hasImage: !meta || !!meta.name
+                },
+                saved,
+                attempt: saved?.attempts || 1,
+                maxAttempts: retryPolicy.maxRetries + 1
+            });
+
+            // Unreachable or still busy with an abandoned item: the watchdog tries again
+            if (!response?.accepted) {
+                ready.unshift(index);
+                continue;
+            }
+
+            activeItems[tab.id] = { index, dispatchId, tabId: tab.id, dispatchedAt: Date.now(), lastSeenAt: Date.now() };
+            await chrome.storage.local.set({ activeItems });
+            await updateItemResult(index, { tabId: tab.id, retryAt: null });
+
+            if (state.spread) {
+                await scheduleSpreadSlot(state.spread, pending.length - 1);
+                break;
+            }
+        }
+    });
+}
+
+/**
+ * Find the active item a worker report belongs to
+ * @returns {object|null} The activeItems entry, or null if the run no longer waits for it
+ */
+function findActiveItem(activeItems, dispatchId) {
+    return Object.values(activeItems || {}).find(active => active.dispatchId === dispatchId) || null;
+}
+
+/**
+ * Note that the worker of a tab is still making progress
+ */
+function touchActiveItem(tabId) {
+    return withRunLock(async () => {
+        const { activeItems } = await chrome.storage.local.get(['activeItems']);
+        if (!activeItems?.[tabId]) return;
+        activeItems[tabId].lastSeenAt = Date.now();
+        await chrome.storage.local.set({ activeItems });
+    });
+}
+
+/**
+ * Store a step the worker reached, so the item can continue from it
+ * @returns {Promise<{success: boolean}>} false tells the worker to abandon the item
+ */
+function recordCheckpoint(message) {
+    return withRunLock(async () => {
+        const { activeItems } = await chrome.storage.local.get(['activeItems']);
+        const active = findActiveItem(activeItems, message.dispatchId);
+        if (!active) {
+            return { success: false };
+        }
+        active.lastSeenAt = Date.now();
+        await chrome.storage.local.set({ activeItems });
+        await updateItemResult(message.index, message.fields);
+        return { success: true };
+    });
+}
+
+/**
+ * Record the outcome of a dispatched item and move the run on
+ * Reports of an item the run no longer waits for (stopped, handed out again) are ignored.
+ * @param {object} report - ITEM_RESULT: { dispatchId, index, attempt, outcome, ... }
+ *   outcome: success | error | paused | rate_limited | stopped
+ */
+function recordItemResult(report) {
+    return withRunLock(async () => {
+        const { activeItems, runState } = await chrome.storage.local.get(['activeItems', 'runState']);
+        const active = findActiveItem(activeItems, report.dispatchId);
+        if (!active) return;
+        delete activeItems[active.tabId];
+        await chrome.storage.local.set({ activeItems });
+
+        const { index } = report;
+        switch (report.outcome) {
+            case 'success':
+                await updateItemResult(index, {
+                    status: 'success',
+                    mediaType: report.mediaType || null,
+                    videoUrl: report.videoUrl || null,
+                    imageUrls: report.imageUrls || null,
+                    error: null,
+                    finishedAt: Date.now(),
+                    step: null
+                });
+                notifyRun({
+                    type: 'ITEM_COMPLETE',
+                    index,
+                    tabId: active.tabId,
+                    mediaType: report.mediaType,
+                    videoUrl: report.videoUrl || null,
+                    imageUrls: report.imageUrls || null
+                });
+                break;
+
+            case 'error':
+                await handleItemError(report);
+                break;
+
+            case 'rate_limited':
+                // Nothing was generated: the item starts over after the cool-down
+                await updateItemResult(index, { step: null });
+                await enterRateLimit(report);
+                return;
+
+            case 'paused':
+            case 'stopped':
+                // The item stays "running" with its step recorded
+                break;
+        }
+
+        if (report.outcome === 'success' || report.outcome === 'error') {
+            await recordRunHistory();
+        }
+
+        if (runState === 'pausing') {
+            if (Object.keys(activeItems).length === 0) await finishRun('paused');
+            return;
+        }
+
+        advanceRun();
+    });
+}
+
+/**
+ * Retry a retryable error with backoff, or record the item as failed
+ * Only the retried item waits; the other tabs carry on.
+ */
+async function handleItemError(report) {
+    const { index, attempt } = report;
+    const retryPolicy = await getRetryPolicy();
+    const maxAttempts = retryPolicy.maxRetries + 1;
+
+    if (report.errorClass === 'retryable' && attempt < maxAttempts) {
+        const delay = getBackoffDelay(attempt, retryPolicy.baseDelay);
+        await updateItemResult(index, { attempts: attempt + 1, step: null, retryAt: Date.now() + delay });
+        notifyRun({
+            type: 'ITEM_RETRY',
+            index,
+            attempt: attempt + 1,
+            maxAttempts,
+            delay,
+            error: report.error
+        });
+        return;
+    }
+
+    await updateItemResult(index, {
+        status: report.reason,
+        error: report.error,
+        finishedAt: Date.now(),
+        step: null,
+        retryAt: null
+    });
+    notifyRun({
+        type: 'ITEM_ERROR',
+        index,
+        error: report.error,
+        reason: report.reason,
+        errorClass: report.errorClass,
+        attempts: attempt
+    });
+    await chrome.storage.local.set({ nextItemAt: Date.now() + ERROR_CONTINUE_DELAY });
+}
+
+/**
+ * End the run loop in a final or halted state and tell the sidebar
+ * @param {'complete'|'paused'|'stopped'} runState
+ */
+async function finishRun(runState) {
+    clearTimeout(advanceTimer);
+    await chrome.storage.local.set({ isRunning: false, runState });
+    await chrome.alarms.clear(RUN_WATCHDOG_ALARM);
+    await recordRunHistory();
+
+    if (runState === 'complete') {
+        notifyRun({ type: 'AUTOMATION_COMPLETE' });
+    } else if (runState === 'paused') {
+        notifyRun({ type: 'AUTOMATION_PAUSED' });
+    } else {
+        notifyRun({ type: 'AUTOMATION_STOPPED' });
+    }
+
+    if (runState !== 'paused') {
+        await cleanupRunImages();
+    }
+}
+
+/**
+ * Tell every worker of the run to abandon its item and forget the items in flight
+ * They stay "running" with their step recorded, so they continue on the next start.
+ */
+async function abandonActiveItems() {
+    const { activeItems = {} } = await chrome.storage.local.get(['activeItems']);
+    for (const active of Object.values(activeItems)) {
+        chrome.tabs.sendMessage(active.tabId, { type: 'STOP_AUTOMATION' }).catch(() => { /* Tab gone */ });
+    }
+    await chrome.storage.local.remove('activeItems');
+}
+
+/**
+ * Pause after the current step of every item in flight (at once when none is)
+ * @returns {Promise<string>} The run state afterwards
+ */
+function pauseRun() {
+    return withRunLock(async () => {
+        const { runState, activeItems = {} } = await chrome.storage.local.get(['runState', 'activeItems']);
+        if (runState !== 'running') return runState;
+
+        // Workers that are gone have nothing left to finish
+        const pausing = {};
+        for (const active of Object.values(activeItems)) {
+            const response = await chrome.tabs.sendMessage(active.tabId, { type: 'PAUSE_AUTOMATION' })
+                .catch(() => null);
+            if (response?.dispatchId === active.dispatchId) pausing[active.tabId] = active;
+        }
+        await chrome.storage.local.set({ activeItems: pausing });
+
+        if (Object.keys(pausing).length > 0) {
+            await chrome.storage.local.set({ runState: 'pausing' });
+            return 'pausing';
+        }
+
+        await finishRun('paused');
+        return 'paused';
+    });
+}
+
+/**
+ * Stop the run; the items in flight are abandoned and stay pending
+ */
+function stopRun() {
+    return withRunLock(async () => {
+        await abandonActiveItems();
+
+        // Interrupted, not failed: leave unfinished items pending for the next start
+        const { itemResults = {} } = await chrome.storage.local.get(['itemResults']);
+        for (const [index, result] of Object.entries(itemResults)) {
+            if (result.status === 'running') delete itemResults[index];
+        }
+        await chrome.storage.local.set({ itemResults });
+        await chrome.storage.local.remove(['rateLimit', 'nextItemAt']);
+        await finishRun('stopped');
+    });
+}
+
+/**
+ * Apply a queue row action from the sidebar
+ * Items are re-read before every dispatch, so changes take effect at the next item.
+ * - up/down: swap with the nearest pending item in that direction
+ * - skip:    mark a pending item as skipped
+ * - retry:   make a finished item pending again (restarts a finished run)
+ * @returns {Promise<{success: boolean, restarted?: boolean}>}
+ */
+async function applyQueueAction(action, index) {
+    const result = await withRunLock(async () => {
+        const state = await chrome.storage.local.get(['queueOrder', 'itemResults', 'totalItems', 'runState']);
+        const results = state.itemResults || {};
+        const order = state.queueOrder || Array.from({ length: state.totalItems || 0 }, (_, i) => i);
+        const position = order.indexOf(index);
+
+        switch (action) {
+            case 'up':
+            case 'down': {
+                const step = action === 'up' ? -1 : 1;
+                let target = position + step;
+                while (target >= 0 && target < order.length && results[order[target]]) {
+                    target += step;
+                }
+                if (target < 0 || target >= order.length) return { success: false };
+                [order[position], order[target]] = [order[target], order[position]];
+                break;
+            }
+
+            case 'skip':
+                if (results[index]) return { success: false };
+                results[index] = { status: 'skipped', finishedAt: Date.now() };
+                break;
+
+            case 'retry':
+                delete results[index];
+                break;
+
+            default:
+                return { success: false };
+        }
+
+        await chrome.storage.local.set({ queueOrder: order, itemResults: results });
+
+        // A halted run picks re-queued items up on Resume; a finished one starts again
+        const active = ['running', 'pausing', 'paused', 'rate_limited'].includes(state.runState);
+        return { success: true, restart: action === 'retry' && !active };
+    });
+
+    if (!result.restart) {
+        return { success: result.success };
+    }
+    const started = await startRun();
+    return { success: true, restarted: started.success, error: started.error };
+}
+
+// A tab of the run reloaded, navigated or closed: check on its worker right away
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+    if (changeInfo.status !== 'complete') return;
+    const { runTabIds = [] } = await chrome.storage.local.get(['runTabIds']);
+    if (runTabIds.includes(tabId)) advanceRun();
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const { runTabIds = [] } = await chrome.storage.local.get(['runTabIds']);
+    if (runTabIds.includes(tabId)) advanceRun();
+});
+
+// ============================================================================
+// LOGGING
+// ============================================================================
+
+let logWrite = Promise.resolve();
+let pendingLogEntries = [];
+
+/**
+ * Append entries to the ring buffer in chrome.storage.local
+ * Entries that arrive while a write is in progress go into the next one, so
+ * a chatty page costs one storage write per batch, not per entry.
+ */
+function appendLogEntries(entries) {
+    pendingLogEntries.push(...entries);
+    logWrite = logWrite.then(async () => {
+        if (pendingLogEntries.length === 0) return;
+        const batch = pendingLogEntries;
+        pendingLogEntries = [];
+
+        const { logs = [] } = await chrome.storage.local.get(['logs']);
+        await chrome.storage.local.set({ logs: [...logs.filter(isLogEntry), ...batch].slice(-LOG_BUFFER_SIZE) });
+    }).catch(error => console.error('Could not store log entries:', error));
+}
+
+/**
+ * Log from the background: page console, ring buffer and the sidebar's live view
+ * @param {string} level - debug | info | success | warn | error
+ * @param {{index?: number, step?: string}} [context] - The run id is added
+ */
+async function logEvent(level, message, context = {}) {
+    (level === 'error' ? console.error : console.log)('[Meta AI Automator]', message);
+    const { runId } = await chrome.storage.local.get(['runId']);
+    const entry = createLogEntry('background', level, message, { ...context, runId });
+    appendLogEntries([entry]);
+    notifyRun({ type: 'LOG_ENTRY', entry });
+}
+
+// ============================================================================
+// RUN HISTORY
+// ============================================================================
+
+/**
+ * Snapshot the stored run into the run history (db.js)
+ * Taken on every state change and finished item, so runs that never finish
+ * (browser closed, replaced by a new run) are in the history too. A failed
+ * write is logged; it never holds up the run.
+ */
+async function recordRunHistory() {
+    try {
+        const state = await chrome.storage.local.get([
+            'runId', 'runStartedAt', 'runState', 'queueMeta', 'prompts', 'itemResults',
+            'promptSeed', 'pairingMode', 'generationMode', 'sourceRunId', 'spread'
+        ]);
+        if (!state.runId || !state.queueMeta) return;
+
+        const { retrySettings, parallelSettings, downloadSettings } =
+            await chrome.storage.sync.get(['retrySettings', 'parallelSettings', 'downloadSettings']);
+        const results = state.itemResults || {};
+        const finished = state.runState === 'complete' || state.runState === 'stopped';
+
+        await saveRunHistory({
+            runId: state.runId,
+            startedAt: state.runStartedAt || Date.now(),
+            finishedAt: finished ? Date.now() : null,
+            updatedAt: Date.now(),
+            state: state.runState || 'idle',
+            settings: {
+                generationMode: state.generationMode || null,
+                pairingMode: state.pairingMode || null,
+                promptSeed: state.promptSeed || null,
+                sourceRunId: state.sourceRunId || null,
+                spread: state.spread || null,
+                retry: { ...RETRY_DEFAULTS, ...retrySettings },
+                maxTabs: await getMaxTabs(),
+                autoDownload: { ...DOWNLOAD_DEFAULTS, ...downloadSettings }.autoDownload
+            },
+            items: state.queueMeta.map((meta, index) => {
+                const result = results[index] || {};
+                return {
+                    index,
+                    imageName: meta?.name || null,
+                    imageSize: meta?.size ?? null,
+                    mode: meta?.mode || 'video',
+                    prompt: state.prompts?.[index] || '',
+                    status: result.status || 'pending',
+                    attempts: result.attempts || 0,
+                    startedAt: result.startedAt || null,
+                    finishedAt: result.finishedAt || null,
+                    error: result.error || null,
+                    mediaType: result.mediaType || null,
+                    videoUrl: result.videoUrl || null,
+                    imageUrls: result.imageUrls || null
+                };
+            })
+        });
+    } catch (error) {
+        logEvent('error', `Could not record run history: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// RATE LIMITS
+// ============================================================================
+
+/**
+ * Halt the run for the cool-down reported by the worker
+ * The alarm brings it back; the service worker may be suspended until then.
+ */
+async function enterRateLimit(report) {
+    const resumeAt = Date.now() + report.cooldownMinutes * 60000;
+    await chrome.storage.local.set({
+        isRunning: false,
+        runState: 'rate_limited',
+        rateLimit: { resumeAt, message: report.error }
+    });
+    // The limit applies to the account, not the tab: halt the other tabs too
+    await abandonActiveItems();
+    await chrome.alarms.clear(RUN_WATCHDOG_ALARM);
+    await chrome.alarms.create(RATE_LIMIT_ALARM, { when: resumeAt });
+    await recordRunHistory();
+    notifyRun({ type: 'AUTOMATION_RATE_LIMITED', resumeAt, message: report.error });
+}
+
+/**
+ * Find the meta.ai/media tab to run in: the given tab if it still shows
+ * meta.ai/media, otherwise an open one, preferably in the given window
+ */
+async function findAutomationTab(tabId, windowId) {
+    if (tabId != null) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            if (isAutomationTab(tab)) return tab;
+        } catch (error) {
+            // Tab was closed
+        }
+    }
+    const tabs = (await chrome.tabs.query({ url: `${META_AI_ORIGIN}/media*` })).filter(isAutomationTab);
+    return tabs.find(tab => tab.windowId === windowId) || tabs[0] || null;
+}
+
+/**
+ * Cool-down over: resume the run unless it was resumed, paused or stopped meanwhile
+ * Without a meta.ai tab the run is left paused for a manual Resume.
+ */
+async function resumeAfterRateLimit() {
+    const { runState } = await chrome.storage.local.get(['runState']);
+    if (runState !== 'rate_limited') return;
+
+    const started = await startRun();
+    if (!started.success) {
+        await chrome.storage.local.set({ isRunning: false, runState: 'paused' });
+        await chrome.storage.local.remove('rateLimit');
+        notifyRun({ type: 'RATE_LIMIT_RESUME_FAILED', error: started.error });
+        return;
+    }
+
+    notifyRun({ type: 'RATE_LIMIT_RESUMED' });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === RUN_WATCHDOG_ALARM) {
+        advanceRun();
+    } else if (alarm.name === RATE_LIMIT_ALARM) {
+        resumeAfterRateLimit().catch(error => logEvent('error', `Resume after rate limit failed: ${error.message}`));
+    } else if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+        startScheduledRun(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length))
+            .catch(error => logEvent('error', `Scheduled run failed to start: ${error.message}`));
+    }
+});
+
+// Alarms are not guaranteed to survive a browser restart: re-arm a pending
+// cool-down and the scheduled runs
+chrome.runtime.onStartup.addListener(async () => {
+    const { runState, rateLimit } = await chrome.storage.local.get(['runState', 'rateLimit']);
+    if (runState === 'rate_limited' && !(await chrome.alarms.get(RATE_LIMIT_ALARM))) {
+        await chrome.alarms.create(RATE_LIMIT_ALARM, { when: Math.max(rateLimit?.resumeAt || 0, Date.now() + 60000) });
+    }
+    // The tabs of a running run are gone after a restart; the watchdog claims one once it is open
+    if (runState === 'running' || runState === 'pausing') {
+        await chrome.alarms.create(RUN_WATCHDOG_ALARM, { periodInMinutes: 0.5 });
+    }
+    await syncScheduleAlarms();
+});
+
+// ============================================================================
+// SCHEDULED RUNS
+// ============================================================================
+
+/*
+ * The sidebar stores scheduled runs in chrome.storage.local "scheduledRuns":
+ * [{ runId, createdAt, startAt, spread, run }]
+ * - run:    the keys Start would store (queueMeta, prompts, promptSeed, ...)
+ * - spread: { windowMs, minGap } to spread the items over a window, or null
+ * Their images are already in IndexedDB under runId.
+ */
+
+let scheduleSync = Promise.resolve();
+
+/**
+ * Make the alarms match the stored schedule, one alarm per scheduled run
+ * Calls are chained so overlapping storage changes can't undo each other.
+ */
+function syncScheduleAlarms() {
+    scheduleSync = scheduleSync.then(async () => {
+        const { scheduledRuns = [] } = await chrome.storage.local.get(['scheduledRuns']);
+        const wanted = new Map(scheduledRuns.map(scheduled => [`${SCHEDULE_ALARM_PREFIX}${scheduled.runId}`, scheduled.startAt]));
+        const alarms = (await chrome.alarms.getAll()).filter(alarm => alarm.name.startsWith(SCHEDULE_ALARM_PREFIX));
+
+        for (const alarm of alarms) {
+            if (!wanted.has(alarm.name)) await chrome.alarms.clear(alarm.name);
+        }
+        for (const [name, startAt] of wanted) {
+            if (alarms.some(alarm => alarm.name === name && alarm.scheduledTime === startAt)) continue;
+            await chrome.alarms.create(name, { when: Math.max(startAt, Date.now() + 1000) });
+        }
+    }).catch(error => console.error('Could not sync schedule alarms:', error));
+    return scheduleSync;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.scheduledRuns) {
+        syncScheduleAlarms();
+    }
+});
+
+/**
+ * Replace the stored run with a scheduled one and start it
+ * A run that can still continue (running, paused or rate limited) is never
+ * replaced; the scheduled run is postponed instead.
+ */
+async function startScheduledRun(runId) {
+    const { scheduledRuns = [], isRunning, runState } =
+        await chrome.storage.local.get(['scheduledRuns', 'isRunning', 'runState']);
+    const scheduled = scheduledRuns.find(entry => entry.runId === runId);
+    if (!scheduled) return;
+
+    if (isRunning || ['pausing', 'paused', 'rate_limited'].includes(runState)) {
+        const startAt = Date.now() + SCHEDULE_BUSY_DELAY;
+        await chrome.storage.local.set({
+            scheduledRuns: scheduledRuns.map(entry => entry.runId === runId ? { ...entry, startAt } : entry)
+        });
+        notifyRun({ type: 'SCHEDULED_RUN_DELAYED', runId, startAt });
+        return;
+    }
+
+    // Same keys as launchRun in sidebar.js
+    const remaining = scheduledRuns.filter(entry => entry.runId !== runId);
+    const stored = await chrome.storage.local.get(null);
+    await chrome.storage.local.remove(Object.keys(stored).filter(key => !PERSISTENT_LOCAL_KEYS.includes(key)));
+    await deleteOtherRunImages([runId, ...remaining.map(entry => entry.runId)]);
+
+    const { run, spread } = scheduled;
+    await chrome.storage.local.set({
+        ...run,
+        ...(spread ? { spread: { endAt: Date.now() + spread.windowMs, minGap: spread.minGap } } : {}),
+        runId: runId,
+        totalItems: run.queueMeta.length,
+        queueOrder: run.queueMeta.map((meta, i) => i),
+        itemResults: {},
+        scheduledRuns: remaining
+    });
+
+    // Without an open tab, open one; its worker announces itself once loaded
+    const tab = await findAutomationTab(null) ||
+        await chrome.tabs.create({ url: META_AI_MEDIA_URL, active: false });
+    if (!(await startRun(tab.id)).success) {
+        await chrome.storage.local.set({ isRunning: false, runState: 'paused' });
+    }
+
+    notifyRun({ type: 'SCHEDULED_RUN_STARTED', runId, totalItems: run.queueMeta.length });
+}
+
+// ============================================================================
+// DOWNLOADS
+// ============================================================================
+
+/**
+ * Make a string safe to use as one path segment of a download filename
+ */
+function sanitizeFilenamePart(value) {
+    return String(value)
+        .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+|[. ]+$/g, '')
+        .substring(0, 80) || '_';
+}
+
+/**
+ * Turn a prompt into a short lowercase slug for filenames
+ */
+function slugify(text, maxLength = 40) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, maxLength)
+        .replace(/-+$/, '') || 'no-prompt';
+}
+
+/**
+ * Build the download path for an item from the filename template
+ *
+ * Placeholders: {run}, {index}, {imageName}, {promptSlug}, {date}
+ * "/" in the template separates folders; every placeholder value is
+ * sanitized so it can never introduce extra folders of its own.
+ * Images replace the template's extension with their own, and the images
+ * of one item are numbered (_1, _2, ...).
+ */
+function buildDownloadFilename(template, job) {
+    const values = {
+        run: job.runId || 'run',
+        index: String(job.index + 1).padStart(3, '0'),
+        imageName: job.imageName ? job.imageName.replace(/\.[^.]+$/, '') : 'prompt-only',
+        promptSlug: slugify(job.prompt),
+        date: new Date().toISOString().slice(0, 10)
+    };
+
+    const path = template
+        .split('/')
+        .map(segment => segment.replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match))
+        .map(sanitizeFilenamePart)
+        .join('/');
+
+    if (job.mediaType !== 'image') {
+        return /\.[a-z0-9]{2,4}$/i.test(path) ? path : `${path}.mp4`;
+    }
+
+    const base = path.replace(/\.[a-z0-9]{2,4}$/i, '');
+    const suffix = job.variant ? `_${job.variant}` : '';
+    return `${base}${suffix}.${getImageExtension(job.url, job.mimeType)}`;
+}
+
+/**
+ * Guess the file extension of a generated image from its MIME type or URL
+ */
+function getImageExtension(url, mimeType) {
+    const match = /^image\/(\w+)/i.exec(mimeType || '') || /\.(jpe?g|png|webp|gif)(?:[?#]|$)/i.exec(url || '');
+    const extension = match ? match[1].toLowerCase() : 'jpg';
+    return extension === 'jpeg' ? 'jpg' : extension;
+}
+
+/**
+ * Download jobs are kept in session storage so retries still work after the
+ * service worker is suspended between onChanged events. A job never holds the
+ * output itself (session storage is capped at 10 MB): retries take the URL
+ * from the download item.
+ */
+async function getDownloadJobs() {
+    const { downloadJobs = {} } = await chrome.storage.session.get(['downloadJobs']);
+    return downloadJobs;
+}
+
+async function setDownloadJob(downloadId, job) {
+    const downloadJobs = await getDownloadJobs();
+    if (job) {
+        downloadJobs[downloadId] = job;
+    } else {
+        delete downloadJobs[downloadId];
+    }
+    await chrome.storage.session.set({ downloadJobs });
+}
+
+/**
+ * Page-owned blob: outputs the content script is about to download itself,
+ * keyed by URL, until onDeterminingFilename picks the download up. Kept in
+ * session storage like the jobs, so a restarted service worker still names
+ * the download; entries older than PAGE_DOWNLOAD_TIMEOUT are dropped.
+ */
+const PAGE_DOWNLOAD_TIMEOUT = 30000;
+
+async function getPageDownloads() {
+    const { pageDownloads = {} } = await chrome.storage.session.get(['pageDownloads']);
+    return pageDownloads;
+}
+
+async function setPageDownload(url, job) {
+    const pageDownloads = await getPageDownloads();
+    for (const [key, entry] of Object.entries(pageDownloads)) {
+        if (entry.expiresAt < Date.now()) delete pageDownloads[key];
+    }
+    if (job) {
+        pageDownloads[url] = { job, expiresAt: Date.now() + PAGE_DOWNLOAD_TIMEOUT };
+    } else {
+        delete pageDownloads[url];
+    }
+    await chrome.storage.session.set({ pageDownloads });
+}
+
+/**
+ * Start the download of a finished video or image if auto-download is enabled
+ *
+ * http(s) outputs are downloaded here. blob: outputs only resolve inside the
+ * page, so the content script downloads them with a link (pageDownload) and
+ * the job is bound to that download in onDeterminingFilename. Their retries
+ * go back to the tab (RETRY_DOWNLOAD), which sends the output again with
+ * the job's name and attempt in "retry".
+ * @param {{index: number, url: string, outputUrl?: string, mimeType?: string, mediaType: string, variant: number|null, imageName: string, prompt: string, retry?: {filename: string, attempt: number, runId: string}}} message
+ * @param {number} [tabId] - Tab the output was generated in
+ */
+async function startOutputDownload(message, tabId) {
+    const { downloadSettings } = await chrome.storage.sync.get(['downloadSettings']);
+    const settings = { ...DOWNLOAD_DEFAULTS, ...downloadSettings };
+
+    if (!settings.autoDownload) {
+        return { success: false, skipped: true };
+    }
+
+    const { runId } = message.retry || await chrome.storage.local.get(['runId']);
+    const job = {
+        index: message.index,
+        runId: runId,
+        mediaType: message.mediaType || 'video',
+        variant: message.variant || null,
+        attempt: message.retry?.attempt || 1
+    };
+    job.filename = message.retry?.filename || buildDownloadFilename(settings.filenameTemplate || DOWNLOAD_DEFAULTS.filenameTemplate, {
+        ...job,
+        url: message.url,
+        mimeType: message.mimeType,
+        imageName: message.imageName,
+        prompt: message.prompt
+    });
+
+    if (message.url.startsWith('blob:')) {
+        await setPageDownload(message.url, { ...job, tabId, outputUrl: message.outputUrl });
+        return { success: true, pageDownload: true, filename: job.filename };
+    }
+
+    const downloadId = await downloadJob(job, message.url);
+    return { success: true, downloadId, filename: job.filename };
+}
+
+/**
+ * Hand a job to chrome.downloads; name collisions are resolved by uniquifying
+ */
+async function downloadJob(job, url) {
+    const downloadId = await chrome.downloads.download({
+        url,
+        filename: job.filename,
+        conflictAction: 'uniquify',
+        saveAs: false
+    });
+    await setDownloadJob(downloadId, job);
+    return downloadId;
+}
+
+/**
+ * Name and track the downloads the content script starts for blob: outputs
+ * Other downloads are left alone (suggest() without a name keeps Chrome's).
+ */
+chrome.downloads.onDeterminingFilename.addListener((item, suggest) => {
+    if (!item.url.startsWith('blob:')) return;
+
+    (async () => {
+        const entry = (await getPageDownloads())[item.url];
+        if (!entry || entry.expiresAt < Date.now()) {
+            suggest();
+            return;
+        }
+        await setPageDownload(item.url, null);
+        // Track before naming, so the download can't complete untracked
+        await setDownloadJob(item.id, entry.job);
+        suggest({ filename: entry.job.filename, conflictAction: 'uniquify' });
+    })().catch(error => {
+        logEvent('error', `Could not track download: ${error.message}`);
+        suggest();
+    });
+    return true;
+});
+
+/**
+ * Have the tab download a blob: output again; the page URL is only valid there
+ */
+async function retryPageDownload(job) {
+    const response = await chrome.tabs.sendMessage(job.tabId, {
+        type: 'RETRY_DOWNLOAD',
+        index: job.index,
+        outputUrl: job.outputUrl,
+        mediaType: job.mediaType,
+        variant: job.variant,
+        retry: { filename: job.filename, attempt: job.attempt + 1, runId: job.runId }
+    });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Tab could not download the output again');
+    }
+}
+
+/**
+ * Report finished downloads and retry interrupted ones
+ */
+chrome.downloads.onChanged.addListener(async (delta) => {
+    if (!delta.state) return;
+
+    const downloadJobs = await getDownloadJobs();
+    const job = downloadJobs[delta.id];
+    if (!job) return; // Not one of ours
+
+    if (delta.state.current === 'complete') {
+        await setDownloadJob(delta.id, null);
+        const [item] = await chrome.downloads.search({ id: delta.id });
+        await addRunHistoryDownload(job.runId, job.index, item ? item.filename : job.filename)
+            .catch(error => logEvent('error', `Could not record download in run history: ${error.message}`, { index: job.index }));
+        chrome.runtime.sendMessage({
+            type: 'DOWNLOAD_COMPLETE',
+            index: job.index,
+            filename: item ? item.filename : job.filename
+        }).catch(() => { /* Sidebar closed */ });
+        return;
+    }
+
+    if (delta.state.current !== 'interrupted') return;
+
+    await setDownloadJob(delta.id, null);
+    const [item] = await chrome.downloads.search({ id: delta.id });
+    const reason = item?.error || 'INTERRUPTED';
+
+    if (reason === 'USER_CANCELED' || job.attempt > DOWNLOAD_MAX_RETRIES) {
+        chrome.runtime.sendMessage({
+            type: 'DOWNLOAD_FAILED',
+            index: job.index,
+            error: reason
+        }).catch(() => { /* Sidebar closed */ });
+        return;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, DOWNLOAD_RETRY_DELAY * job.attempt));
+
+    try {
+        if (item?.canResume) {
+            await chrome.downloads.resume(delta.id);
+            await setDownloadJob(delta.id, { ...job, attempt: job.attempt + 1 });
+        } else if (job.tabId && job.outputUrl) {
+            await retryPageDownload(job);
+        } else {
+            await downloadJob({ ...job, attempt: job.attempt + 1 }, item?.finalUrl || item?.url);
+        }
+        chrome.runtime.sendMessage({
+            type: 'DOWNLOAD_RETRY',
+            index: job.index,
+            attempt: job.attempt + 1,
+            error: reason
+        }).catch(() => { /* Sidebar closed */ });
+    } catch (error) {
+        chrome.runtime.sendMessage({
+            type: 'DOWNLOAD_FAILED',
+            index: job.index,
+            error: error.message
+        }).catch(() => { /* Sidebar closed */ });
+    }
+});
@@ -1,8 +1,11 @@
 /**
- * content.js - DOM Automation for Meta AI Image-to-Video
+ * content.js - DOM Automation for Meta AI Image-to-Video and Image generation
  * 
  * Target URL: https://www.meta.ai/media
  * 
+ * Requires selectors.js (loaded first) for the selector registry and log.js
+ * for structured log entries.
+ * 
  * DOM SELECTORS (verified from user-provided page inspection):
  * 
  * Prompt Input:
@@ -29,104 +32,362 @@
 
 const CONFIG = {
     // Timing
-    MIN_DELAY: 5000,        // 5 seconds minimum between items
-    MAX_DELAY: 15000,       // 15 seconds maximum between items
     TIMEOUT: 120000,        // 2 minutes timeout per generation
     POLL_INTERVAL: 500,     // Check every 500ms for completion
     BUTTON_ENABLE_TIMEOUT: 60000,  // 60 seconds max wait for button to enable
     BUTTON_CHECK_INTERVAL: 300,    // Check every 300ms for button state
 
     // DOM Selectors - Multiple fallbacks for each element
-    SELECTORS: {
-        // Multiple selectors for prompt input (tried in order)
-        promptInputSelectors: [
-            'div[contenteditable="true"][data-lexical-editor="true"]',
-            'div[aria-label="Describe your image..."][contenteditable="true"]',
-            'div[contenteditable="true"][role="textbox"]',
-            '[contenteditable="true"][aria-placeholder]',
-            'div[contenteditable="true"].notranslate',
-            'textarea[placeholder*="Describe"]',
-            'textarea[placeholder*="prompt"]',
-            '[role="textbox"][contenteditable="true"]',
-            'div[contenteditable="true"]'
-        ],
-        // Multiple selectors for Add Media button
-        addMediaBtnSelectors: [
-            'div[aria-label="Add media"][role="button"]',
-            'div[aria-label="Add Media"][role="button"]',
-            'button[aria-label="Add media"]',
-            'button[aria-label="Add Media"]',
-            '[aria-label*="media"][role="button"]',
-            '[aria-label*="Media"][role="button"]',
-            'input[type="file"][accept*="image"]'
-        ],
-        // Multiple selectors for Create button
-        createBtnSelectors: [
-            'div[aria-label="Create"][role="button"]',
-            'button[aria-label="Create"]',
-            'div[aria-label="Generate"][role="button"]',
-            'button[aria-label="Generate"]',
-            '[aria-label="Submit"][role="button"]'
-        ],
-        // Multiple selectors for Send/Animate button (primary selector based on dev tools)
-        sendBtnSelectors: [
-            'div[role="button"][aria-label="Send"]',
-            'div[aria-label="Send"][role="button"]',
-            '.x1ed109x.x1n2onr6.xh8yej3 div[role="button"][aria-label="Send"]',
-            'button[aria-label="Send"]',
-            '[aria-label="Send message"][role="button"]'
-        ],
-        // Mode toggle (Image/Video) selectors
-        modeToggleSelectors: [
-            'div[role="button"][aria-label="Image"]',
-            'div[role="button"][aria-label="Video"]',
-            'div#_r_7d_[role="button"]'
-        ],
-        // Download button detection
-        downloadBtn: 'a[download], div[aria-label="Download"][role="button"], button[aria-label="Download"], [aria-label*="download" i][role="button"]',
-        // Loading indicator
-        loadingSpinner: '[role="progressbar"], .loading, [aria-busy="true"], [data-loading="true"]'
-    }
+    // Defaults live in selectors.js; loadSelectors() merges the user's overrides over them
+    SELECTORS: mergeSelectors(),
+
+    // Image mode: generated images smaller than this are icons/avatars, and a
+    // result is complete once no new image appeared for IMAGE_SETTLE_TIME
+    MIN_OUTPUT_IMAGE_SIZE: 256,
+    IMAGE_SETTLE_TIME: 3000,
+
+    // Upload: how long a strategy may take to show the image preview
+    UPLOAD_VERIFY_TIMEOUT: 4000,
+
+    // Heuristic discovery: minimum score (0-1) for a candidate to replace a failed selector list
+    HEURISTIC_MIN_CONFIDENCE: 0.5,
+
+    // Errors worth another attempt; everything else fails the item at once.
+    // Generation timeouts are not retried: the video may still appear later and
+    // a retry would submit the same item twice.
+    RETRYABLE_ERROR_PATTERNS: [
+        /could not find prompt input/i,
+        /^could not switch to \w+ mode/i,
+        /timeout waiting for send button/i,
+        /could not get image/i,
+        /^image upload failed: no preview/i,
+        /^attachment verification failed/i,
+        /failed to (get|load) image data/i,
+        /^generation failed/i
+    ],
+
+    // Text in a new alert that means the submitted generation failed
+    GENERATION_ERROR_PATTERNS: [
+        /something went wrong/i,
+        /couldn.t (generate|create|animate)/i,
+        /unable to (generate|create|animate)/i,
+        /(generation|request) failed/i,
+        /try again/i
+    ]
 };
 
 // ============================================================================
 // STATE
 // ============================================================================
 
-let isRunning = false;
+let currentDispatch = null;  // EXECUTE_ITEM message of the item being executed
 let shouldStop = false;
+let shouldPause = false;
 let currentObserver = null;
+let rateLimitSettings = normalizeRateLimitSettings();  // Loaded at the start of each run
+
+// Identifies this page load; a paused item resumes mid-way only in the same page session
+const PAGE_SESSION_ID = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Generation modes as stored (queueMeta[].mode) -> label of the mode toggle
+const GENERATION_MODES = { video: 'Video', image: 'Image' };
+
+// Steps of an item in order; itemResults[index].step is the next step to run
+const ITEM_STEPS = ['mode', 'upload', 'prompt', 'submit', 'generating'];
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// SELECTOR REGISTRY
 // ============================================================================
 
+let selectorOverrides = {};   // From the options page (chrome.storage.sync)
+let learnedSelectors = {};    // role -> selector found by heuristic discovery in this run
+
 /**
- * Wait for specified milliseconds
+ * Rebuild CONFIG.SELECTORS: overrides replace the defaults, learned selectors go last
  */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function applySelectors() {
+    CONFIG.SELECTORS = mergeSelectors(selectorOverrides);
+    for (const [role, selector] of Object.entries(learnedSelectors)) {
+        if (CONFIG.SELECTORS[role] && !CONFIG.SELECTORS[role].includes(selector)) {
+            CONFIG.SELECTORS[role].push(selector);
+        }
+    }
 }
 
 /**
- * Get random delay between min and max
+ * Merge the selector overrides from the options page and the selectors
+ * learned earlier in this run over the defaults
  */
-function getRandomDelay() {
-    return Math.floor(Math.random() * (CONFIG.MAX_DELAY - CONFIG.MIN_DELAY + 1)) + CONFIG.MIN_DELAY;
+async function loadSelectors() {
+    ({ selectorOverrides = {} } = await chrome.storage.sync.get(['selectorOverrides']));
+    ({ learnedSelectors = {} } = await chrome.storage.local.get(['learnedSelectors']));
+    applySelectors();
 }
 
+// Pick up edits from the options page without a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.selectorOverrides) {
+        selectorOverrides = changes.selectorOverrides.newValue || {};
+        applySelectors();
+        log('Selector overrides updated');
+    }
+});
+
 /**
- * Find element with retry
+ * Count the matches of each selector in a list (invalid selectors report an error)
+ * @returns {{selector: string, count: number, error?: string}[]}
  */
-async function findElement(selector, maxAttempts = 10, delay = 500) {
-    for (let i = 0; i < maxAttempts; i++) {
-        const element = document.querySelector(selector);
-        if (element) return element;
-        await sleep(delay);
+function testSelectors(selectors) {
+    return selectors.map(selector => {
+        try {
+            return { selector, count: document.querySelectorAll(selector).length };
+        } catch (error) {
+            return { selector, count: 0, error: error.message };
+        }
+    });
+}
+
+// ============================================================================
+// HEURISTIC DISCOVERY
+// ============================================================================
+
+/**
+ * What the element of a role looks like, for when every configured selector fails
+ * - candidates: elements worth scoring
+ * - roles: expected ARIA roles (or tag names)
+ * - labels: words expected in aria-label/title/text
+ * - vetoLabels: words that rule an element out (optional)
+ * - placeholders: words expected in placeholder text
+ * - editable: whether the element is a text input
+ * - nearComposer: whether it sits next to the prompt input
+ */
+const HEURISTIC_PROFILES = {
+    promptInputSelectors: {
+        candidates: '[contenteditable="true"], textarea, [role="textbox"], input[type="text"]',
+        roles: ['textbox', 'textarea'],
+        labels: ['describe', 'prompt', 'imagine', 'ask', 'message'],
+        placeholders: ['describe', 'prompt', 'imagine', 'ask', 'type'],
+        editable: true,
+        nearComposer: false
+    },
+    addMediaBtnSelectors: {
+        candidates: '[role="button"], button, input[type="file"]',
+        roles: ['button'],
+        labels: ['add media', 'upload', 'attach', 'add image', 'add photo', 'media'],
+        placeholders: [],
+        editable: false,
+        nearComposer: true
+    },
+    sendBtnSelectors: {
+        candidates: '[role="button"], button',
+        roles: ['button'],
+        labels: ['send', 'animate', 'submit'],
+        // Meta's Create button sits next to Send and must never be learned in its place
+        vetoLabels: ['create', 'generate'],
+        placeholders: [],
+        editable: false,
+        nearComposer: true
+    },
+    modeToggleSelectors: {
+        candidates: '[role="button"], button, [role="combobox"]',
+        roles: ['button', 'combobox'],
+        labels: ['image', 'video', 'mode'],
+        placeholders: [],
+        editable: false,
+        nearComposer: true
+    }
+};
+
+const heuristicMisses = new Set();  // Roles whose discovery failed, logged once
+const discoveredElements = new Map();  // Role -> element found by discovery for the current item
+
+// Weights of the scoring signals; a score is the share of the weights that apply to the role
+const HEURISTIC_WEIGHTS = { role: 0.15, label: 0.35, placeholder: 0.15, position: 0.15, editable: 0.2 };
+
+/**
+ * Similarity of a text to the closest of a list of words/phrases (0-1)
+ * A whole-phrase match scores 1; otherwise the share of phrase words found in the text
+ */
+function textSimilarity(text, phrases) {
+    const normalized = (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    if (!normalized) return 0;
+
+    let best = 0;
+    for (const phrase of phrases) {
+        if (normalized === phrase) return 1;
+        if (` ${normalized} `.includes(` ${phrase} `)) {
+            best = Math.max(best, 0.8);
+            continue;
+        }
+        const words = phrase.split(' ');
+        const found = words.filter(word => normalized.includes(word)).length;
+        best = Math.max(best, 0.6 * found / words.length);
+    }
+    return best;
+}
+
+/**
+ * Score one candidate element for a role
+ * @returns {{score: number, reasons: string[]}}
+ */
+function scoreCandidate(el, profile, composerRect) {
+    const weights = HEURISTIC_WEIGHTS;
+    const reasons = [];
+    let score = 0;
+    let maxScore = weights.role + weights.label;
+
+    const role = (el.getAttribute('role') || el.tagName).toLowerCase();
+    if (profile.roles.includes(role)) {
+        score += weights.role;
+        reasons.push(`role=${role}`);
+    }
+
+    const label = el.getAttribute('aria-label') || el.getAttribute('title') ||
+        (el.children.length === 0 ? el.textContent : '');
+    if (profile.vetoLabels && textSimilarity(label, profile.vetoLabels) >= 0.8) {
+        return { score: 0, reasons: [`vetoed label "${label.trim().substring(0, 40)}"`] };
+    }
+    const labelScore = textSimilarity(label, profile.labels);
+    if (labelScore > 0) {
+        score += weights.label * labelScore;
+        reasons.push(`label "${label.trim().substring(0, 40)}" (${Math.round(labelScore * 100)}%)`);
+    }
+
+    const placeholder = el.getAttribute('placeholder') || el.getAttribute('aria-placeholder') ||
+        el.getAttribute('data-placeholder');
+    if (profile.placeholders.length > 0) maxScore += weights.placeholder;
+    const placeholderScore = textSimilarity(placeholder, profile.placeholders);
+    if (placeholderScore > 0) {
+        score += weights.placeholder * placeholderScore;
+        reasons.push(`placeholder "${placeholder.substring(0, 40)}"`);
+    }
+
+    if (composerRect && profile.nearComposer) {
+        maxScore += weights.position;
+        const rect = el.getBoundingClientRect();
+        const dx = Math.max(composerRect.left - rect.right, rect.left - composerRect.right, 0);
+        const dy = Math.max(composerRect.top - rect.bottom, rect.top - composerRect.bottom, 0);
+        const distance = Math.hypot(dx, dy);
+        if (distance < 200) {
+            score += weights.position * (1 - distance / 200);
+            reasons.push(`${Math.round(distance)}px from composer`);
+        }
+    }
+
+    const isEditable = el.isContentEditable || el.hasAttribute('data-lexical-editor') ||
+        el.tagName === 'TEXTAREA' || el.tagName === 'INPUT';
+    if (profile.editable) {
+        maxScore += weights.editable;
+        if (isEditable) {
+            score += weights.editable * (el.hasAttribute('data-lexical-editor') ? 1 : 0.75);
+            reasons.push(el.hasAttribute('data-lexical-editor') ? 'lexical editor' : 'editable');
+        }
+    } else if (isEditable && el.type !== 'file') {
+        // A text field is never a button
+        score -= weights.editable;
+    }
+
+    return { score: Math.min(Math.max(score / maxScore, 0), 1), reasons };
+}
+
+/**
+ * Build a selector that finds an element again on the next items
+ * @returns {string|null} null if no attribute-based selector points at the element
+ */
+function buildLearnedSelector(el) {
+    const tag = el.tagName.toLowerCase();
+    const attributes = ['aria-label', 'role', 'placeholder', 'aria-placeholder', 'data-testid', 'contenteditable', 'type']
+        .filter(name => el.hasAttribute(name))
+        .map(name => `[${name}="${CSS.escape(el.getAttribute(name))}"]`);
+
+    // Add attributes until the selector points at this element first
+    for (let count = 1; count <= attributes.length; count++) {
+        const selector = tag + attributes.slice(0, count).join('');
+        if (document.querySelector(selector) === el) return selector;
     }
     return null;
 }
 
+/**
+ * Locate the element of a role by scoring visible candidates
+ * Used when every configured selector for the role failed
+ * @returns {{element: Element, score: number, reasons: string[]}|null} Best candidate above the threshold
+ */
+function discoverElement(role) {
+    const profile = HEURISTIC_PROFILES[role];
+    if (!profile) return null;
+
+    const composer = role === 'promptInputSelectors' ? null : findElementNow(CONFIG.SELECTORS.promptInputSelectors);
+    const composerRect = composer ? composer.getBoundingClientRect() : null;
+
+    let best = null;
+    for (const el of document.querySelectorAll(profile.candidates)) {
+        if (!isElementVisible(el) || el.closest('[data-automator-highlight]')) continue;
+        const { score, reasons } = scoreCandidate(el, profile, composerRect);
+        if (!best || score > best.score) {
+            best = { element: el, score, reasons };
+        }
+    }
+
+    if (!best || best.score < CONFIG.HEURISTIC_MIN_CONFIDENCE) {
+        // Send button lookups poll; report a miss once per role
+        if (best && !heuristicMisses.has(role)) {
+            heuristicMisses.add(role);
+            log(`Heuristic search for ${SELECTOR_ROLE_LABELS[role]}: best candidate scored ${best.score.toFixed(2)}, below threshold`, 'warn');
+        }
+        return null;
+    }
+    return best;
+}
+
+/**
+ * Fall back to heuristic discovery and remember the result for the rest of the run
+ * Send button lookups poll, so the element found is reused for the current
+ * item and a match is only reported when it changes what was learned.
+ * @returns {Element|null}
+ */
+function discoverAndLearn(role) {
+    const cached = discoveredElements.get(role);
+    if (cached && cached.isConnected && isElementVisible(cached)) return cached;
+
+    const found = discoverElement(role);
+    if (!found) return null;
+    discoveredElements.set(role, found.element);
+
+    const label = SELECTOR_ROLE_LABELS[role] || role;
+    const selector = buildLearnedSelector(found.element);
+    if (selector && selector === learnedSelectors[role]) return found.element;
+
+    log(`Heuristic match for ${label}: ${describeElement(found.element)} - score ${found.score.toFixed(2)} (${found.reasons.join(', ')})`);
+
+    if (selector) {
+        learnedSelectors[role] = selector;
+        applySelectors();
+        chrome.storage.local.set({ learnedSelectors });
+    }
+
+    sendToSidebar({
+        type: 'SELECTOR_LEARNED',
+        role,
+        label,
+        selector,
+        score: found.score,
+        reasons: found.reasons
+    });
+    return found.element;
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Wait for specified milliseconds
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
  * Find element from array of selectors (tries each in order with retry)
  */
@@ -153,22 +414,29 @@ async function findElementFromSelectors(selectors, maxAttempts = 10, delay = 500
     }
 
     // Log which selectors were tried for debugging
-    log(`Could not find element. Tried selectors: ${selectors.slice(0, 3).join(', ')}...`, 'error');
+    log(`Could not find element. Tried selectors: ${selectors.slice(0, 3).join(', ')}...`, 'warn');
     return null;
 }
 
 /**
- * Convert base64 to File object
+ * Return the first element matched by a selector list, without waiting
  */
-function base64ToFile(base64Data, fileName, mimeType) {
-    const arr = base64Data.split(',');
-    const bstr = atob(arr[1]);
-    let n = bstr.length;
-    const u8arr = new Uint8Array(n);
-    while (n--) {
-        u8arr[n] = bstr.charCodeAt(n);
+function findElementNow(selectors) {
+    for (const selector of selectors) {
+        const element = document.querySelector(selector);
+        if (element) {
+            return element;
+        }
     }
-    return new File([u8arr], fileName, { type: mimeType });
+    return null;
+}
+
+/**
+ * Find the element of a selector role, falling back to heuristic discovery
+ * once every configured selector has failed
+ */
+async function findRoleElement(role, maxAttempts = 10) {
+    return await findElementFromSelectors(CONFIG.SELECTORS[role], maxAttempts) || discoverAndLearn(role);
 }
 
 /**
@@ -187,23 +455,43 @@ function base64ToBlob(base64Data, mimeType) {
     return new Blob([uint8Array], { type: mimeType });
 }
 
+/**
+ * Sleep that ends early when a stop or pause is requested
+ */
+async function sleepUnlessStopped(ms) {
+    const end = Date.now() + ms;
+    while (!shouldStop && !shouldPause && Date.now() < end) {
+        await sleep(Math.min(500, end - Date.now()));
+    }
+}
+
 /**
  * Send message to sidebar
  */
 function sendToSidebar(message) {
-    chrome.runtime.sendMessage(message);
+    chrome.runtime.sendMessage(message).catch(() => { /* Sidebar closed */ });
 }
 
 /**
- * Log to console with prefix
+ * Log to the page console and stream the entry to the extension log (log.js)
+ * Entries carry the run, item and step of the current dispatch. Step-by-step
+ * detail is debug level; the sidebar reports progress itself.
+ * @param {string} message
+ * @param {string} [level] - debug | info | success | warn | error
  */
-function log(message, type = 'info') {
+function log(message, level = 'debug') {
     const prefix = '[Meta AI Automator]';
-    if (type === 'error') {
+    if (level === 'error') {
         console.error(prefix, message);
     } else {
         console.log(prefix, message);
     }
+
+    sendLogEntry(createLogEntry('content', level, message, {
+        runId: currentDispatch?.runId,
+        index: currentDispatch?.index,
+        step: currentDispatch?.step
+    }));
 }
 
 // ============================================================================
@@ -214,7 +502,7 @@ function log(message, type = 'info') {
  * Set text in the prompt input (contenteditable div)
  */
 async function setPromptText(text) {
-    const promptInput = await findElementFromSelectors(CONFIG.SELECTORS.promptInputSelectors);
+    const promptInput = await findRoleElement('promptInputSelectors');
 
     if (!promptInput) {
         throw new Error('Could not find prompt input');
@@ -244,15 +532,147 @@ async function setPromptText(text) {
     await sleep(300);
 }
 
+// ============================================================================
+// UPLOAD STRATEGIES
+// ============================================================================
+
+/**
+ * Ways to attach an image to the composer, in default order
+ * Each strategy dispatches its events and resolves true once a preview
+ * shows up in the composer (waitForImagePreview returns as soon as it does).
+ * Keep ids and labels in sync with UPLOAD_STRATEGY_LABELS in options.js.
+ */
+const UPLOAD_STRATEGIES = [
+    {
+        id: 'paste',
+        label: 'Synthetic paste',
+        async run({ promptInput, dataTransfer }) {
+            promptInput.focus();
+
+            // Clipboard API is skipped to avoid focus errors; the event carries the file instead
+            const pasteEvent = new Event('paste', { bubbles: true, cancelable: true });
+            Object.defineProperty(pasteEvent, 'clipboardData', {
+                value: {
+                    files: dataTransfer.files,
+                    items: dataTransfer.items,
+                    types: ['Files'],
+                    getData: () => ''
+                }
+            });
+            promptInput.dispatchEvent(pasteEvent);
+
+            return waitForImagePreview(CONFIG.UPLOAD_VERIFY_TIMEOUT);
+        }
+    },
+    {
+        id: 'beforeinput',
+        label: 'beforeinput event',
+        async run({ promptInput, dataTransfer }) {
+            promptInput.focus();
+            promptInput.dispatchEvent(new InputEvent('beforeinput', {
+                bubbles: true,
+                cancelable: true,
+                inputType: 'insertFromPaste',
+                dataTransfer: dataTransfer
+            }));
+
+            return waitForImagePreview(CONFIG.UPLOAD_VERIFY_TIMEOUT);
+        }
+    },
+    {
+        id: 'dragdrop',
+        label: 'Drag and drop',
+        async run({ promptInput, file }) {
+            await simulateDragDropOnElement(promptInput, file);
+            return waitForImagePreview(CONFIG.UPLOAD_VERIFY_TIMEOUT);
+        }
+    },
+    {
+        id: 'fileInput',
+        label: 'Hidden file input',
+        async run({ dataTransfer }) {
+            const addMediaBtn = await findRoleElement('addMediaBtnSelectors', 3);
+            if (!addMediaBtn) return false;
+
+            for (const input of document.querySelectorAll('input[type="file"]')) {
+                try {
+                    input.files = dataTransfer.files;
+                    input.dispatchEvent(new Event('change', { bubbles: true }));
+                    if (await waitForImagePreview(CONFIG.UPLOAD_VERIFY_TIMEOUT / 2)) return true;
+                } catch (e) {
+                    // continue to next input
+                }
+            }
+            return false;
+        }
+    }
+];
+
+/**
+ * Order the strategies for the next upload
+ * Pinned first, then the last one that worked, then by success rate;
+ * disabled strategies are left out. Ties keep the default order.
+ * @returns {object[]} Strategies to try, in order
+ */
+function orderUploadStrategies(stats, settings) {
+    const disabled = settings.disabled || [];
+    const rate = (id) => {
+        const entry = stats.strategies?.[id];
+        return entry && entry.attempts > 0 ? entry.successes / entry.attempts : 0.5;
+    };
+    const rank = (id) => {
+        if (id === settings.pinned) return 2;
+        if (id === stats.lastSuccess) return 1;
+        return 0;
+    };
+
+    return UPLOAD_STRATEGIES
+        .filter(strategy => !disabled.includes(strategy.id))
+        .map((strategy, order) => ({ strategy, order }))
+        .sort((a, b) => rank(b.strategy.id) - rank(a.strategy.id) ||
+            rate(b.strategy.id) - rate(a.strategy.id) ||
+            a.order - b.order)
+        .map(({ strategy }) => strategy);
+}
+
+/**
+ * Record the outcome of one strategy attempt
+ * Stats live in chrome.storage.local under "uploadStats" (kept across runs):
+ * { lastSuccess, strategies: { id: { attempts, successes, totalMs, lastUsedAt } } }
+ * totalMs sums the latency of successful attempts.
+ */
+async function recordUploadAttempt(id, success, elapsedMs) {
+    const { uploadStats = {} } = await chrome.storage.local.get(['uploadStats']);
+    const strategies = uploadStats.strategies || {};
+    const entry = strategies[id] || { attempts: 0, successes: 0, totalMs: 0, lastUsedAt: null };
+
+    entry.attempts++;
+    entry.lastUsedAt = Date.now();
+    if (success) {
+        entry.successes++;
+        entry.totalMs += elapsedMs;
+    }
+    strategies[id] = entry;
+
+    await chrome.storage.local.set({
+        uploadStats: {
+            ...uploadStats,
+            strategies,
+            lastSuccess: success ? id : uploadStats.lastSuccess || null
+        }
+    });
+}
+
 /**
- * Upload image via clipboard paste into the prompt input
- * This bypasses the need for file dialog which requires user activation
+ * Attach an image to the composer, trying the upload strategies in adaptive order
+ * Fails the item once every enabled strategy has been tried without a preview
+ * @returns {Promise<File>} The file that was attached, for verifyAttachment
  */
 async function uploadImage(imageData) {
     log(`Starting image upload for: ${imageData.name}`);
 
     // Find the prompt input (contenteditable div)
-    const promptInput = await findElementFromSelectors(CONFIG.SELECTORS.promptInputSelectors);
+    const promptInput = await findRoleElement('promptInputSelectors');
 
     if (!promptInput) {
         throw new Error('Could not find prompt input for image paste');
@@ -272,134 +692,189 @@ async function uploadImage(imageData) {
     const dataTransfer = new DataTransfer();
     dataTransfer.items.add(file);
 
-    // Method 1: Try direct paste event with DataTransfer (skipping Clipboard API to avoid focus errors)
-    try {
-        log('Using direct paste event method...');
-        promptInput.focus();
-        await sleep(100);
+    const { uploadStats = {} } = await chrome.storage.local.get(['uploadStats']);
+    const { uploadStrategySettings = {} } = await chrome.storage.sync.get(['uploadStrategySettings']);
+    const strategies = orderUploadStrategies(uploadStats, uploadStrategySettings);
 
-        // Create a custom paste event with file data
-        const customPasteEvent = new Event('paste', { bubbles: true, cancelable: true });
-        Object.defineProperty(customPasteEvent, 'clipboardData', {
-            value: {
-                files: dataTransfer.files,
-                items: dataTransfer.items,
-                types: ['Files'],
-                getData: () => ''
-            }
-        });
+    if (strategies.length === 0) {
+        throw new Error('Image upload failed: every upload method is disabled in settings');
+    }
+
+    for (const strategy of strategies) {
+        log(`Trying upload method: ${strategy.label}...`);
+        const startTime = Date.now();
+        let success = false;
 
-        promptInput.dispatchEvent(customPasteEvent);
-        log('Dispatched paste event');
+        try {
+            success = await strategy.run({ promptInput, file, dataTransfer });
+        } catch (e) {
+            log(`${strategy.label} failed: ${e.message}`, 'warn');
+        }
 
-        await sleep(1500);
+        const elapsed = Date.now() - startTime;
+        await recordUploadAttempt(strategy.id, success, elapsed);
 
-        // Check if upload was successful
-        if (await waitForImagePreview()) {
-            log(`Successfully uploaded image via paste: ${imageData.name}`);
-            return;
+        if (success) {
+            log(`Successfully uploaded image via ${strategy.label} in ${elapsed}ms: ${imageData.name}`);
+            return file;
         }
-    } catch (e) {
-        log(`Paste event failed: ${e.message}`, 'error');
     }
 
-    // Method 2: Try beforeinput event with DataTransfer
-    try {
-        log('Trying beforeinput event method...');
-        promptInput.focus();
-        await sleep(100);
-
-        // Create a more comprehensive paste event
-        const inputEvent = new InputEvent('beforeinput', {
-            bubbles: true,
-            cancelable: true,
-            inputType: 'insertFromPaste',
-            dataTransfer: dataTransfer
-        });
-        promptInput.dispatchEvent(inputEvent);
+    throw new Error(`Image upload failed: no preview after ${strategies.map(s => s.label).join(', ')}`);
+}
 
-        await sleep(1500);
+// ============================================================================
+// ATTACHMENTS
+// ============================================================================
 
-        if (await waitForImagePreview()) {
-            log(`Successfully uploaded image via beforeinput: ${imageData.name}`);
-            return;
-        }
-    } catch (e) {
-        log(`Beforeinput event failed: ${e.message}`, 'error');
+/**
+ * Find the composer around the prompt input
+ * Attachments are only counted inside it, so earlier results and gallery
+ * images elsewhere on the page can never pass as the current upload.
+ * @returns {Element|null}
+ */
+function findComposer(promptInput = findElementNow(CONFIG.SELECTORS.promptInputSelectors)) {
+    if (!promptInput) return null;
+
+    const configured = promptInput.closest(joinSelectors(CONFIG.SELECTORS.composerSelectors));
+    if (configured) return configured;
+
+    // Nearest ancestor that also holds the composer's buttons
+    const buttons = joinSelectors([...CONFIG.SELECTORS.addMediaBtnSelectors, ...CONFIG.SELECTORS.sendBtnSelectors]);
+    let el = promptInput.parentElement;
+    for (let depth = 0; el && el !== document.body && depth < 8; depth++) {
+        if (el.querySelector(buttons)) return el;
+        el = el.parentElement;
     }
+    return promptInput.parentElement;
+}
 
-    // Method 3: Try drag and drop on the prompt input itself
-    try {
-        log('Trying drag and drop on prompt input...');
-        await simulateDragDropOnElement(promptInput, file);
-        await sleep(2000);
+/**
+ * List the attachment previews inside the composer, one element per attachment
+ * (a wrapper matching a preview selector is dropped when its image matches too)
+ */
+function getAttachments(composer) {
+    if (!composer) return [];
+    const matches = Array.from(composer.querySelectorAll(joinSelectors(CONFIG.SELECTORS.previewSelectors)))
+        .filter(isElementVisible);
+    return matches.filter(el => !matches.some(other => other !== el && el.contains(other)));
+}
 
-        if (await waitForImagePreview()) {
-            log(`Successfully uploaded image via drag-drop: ${imageData.name}`);
-            return;
+/**
+ * Wait for at least one attachment preview in the composer
+ * @returns {Promise<boolean>}
+ */
+async function waitForImagePreview(timeout = 3000) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeout) {
+        if (getAttachments(findComposer()).length > 0) {
+            log('Image preview detected');
+            return true;
         }
-    } catch (e) {
-        log(`Drag drop on input failed: ${e.message}`, 'error');
+
+        await sleep(200);
     }
 
-    // Method 4: Try clicking Add Media and looking for hidden input
-    log('Trying Add Media button method as last resort...');
-    const addMediaBtn = await findElementFromSelectors(CONFIG.SELECTORS.addMediaBtnSelectors, 3);
+    return false;
+}
 
-    if (addMediaBtn) {
-        // Look for any file inputs that might already exist
-        const existingInputs = document.querySelectorAll('input[type="file"]');
+/**
+ * Remove attachments and prompt text left over from a previous item
+ * @returns {Promise<void>} Rejects if an attachment can't be removed
+ */
+async function clearComposer() {
+    const promptInput = await findRoleElement('promptInputSelectors');
+    if (!promptInput) {
+        throw new Error('Could not find prompt input');
+    }
+    const composer = findComposer(promptInput);
+
+    for (let round = 0; round < 10 && getAttachments(composer).length > 0; round++) {
+        const removeBtn = Array.from(composer.querySelectorAll(joinSelectors(CONFIG.SELECTORS.attachmentRemoveSelectors)))
+            .find(isElementVisible);
+        if (!removeBtn) break;
+        removeBtn.click();
+        log('Removed a leftover attachment');
+        await sleep(300);
+    }
 
-        for (const input of existingInputs) {
-            try {
-                input.files = dataTransfer.files;
-                input.dispatchEvent(new Event('change', { bubbles: true }));
-                await sleep(1000);
+    const leftover = getAttachments(composer).length;
+    if (leftover > 0) {
+        throw new Error(`Attachment verification failed: ${leftover} leftover attachment(s) could not be removed`);
+    }
 
-                if (await waitForImagePreview(1000)) {
-                    log(`Uploaded via existing input: ${imageData.name}`);
-                    return;
-                }
-            } catch (e) {
-                // continue to next input
-            }
+    if ((promptInput.textContent || promptInput.value || '').trim()) {
+        promptInput.focus();
+        if (!document.execCommand('selectAll') || !document.execCommand('delete')) {
+            promptInput.textContent = '';
         }
+        if ('value' in promptInput) promptInput.value = '';
+        promptInput.dispatchEvent(new Event('input', { bubbles: true }));
+        log('Cleared leftover prompt text');
+        await sleep(200);
     }
+}
 
-    log('All upload methods attempted - proceeding with generation', 'error');
+/**
+ * Get the pixel size of an image file
+ */
+async function getImageSize(file) {
+    const bitmap = await createImageBitmap(file);
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return size;
 }
 
 /**
- * Wait for image preview to appear (indicates successful upload)
+ * Check that the composer holds exactly one attachment and that it is the
+ * expected image (same bytes, or the same aspect ratio for a re-encoded preview)
+ * @param {File} file - The image that was uploaded
+ * @returns {Promise<void>} Rejects with "Attachment verification failed: ..." otherwise
  */
-async function waitForImagePreview(timeout = 3000) {
+async function verifyAttachment(file) {
+    const attachments = getAttachments(findComposer());
+    if (attachments.length !== 1) {
+        throw new Error(`Attachment verification failed: expected 1 attachment, found ${attachments.length}`);
+    }
+
+    const preview = attachments[0];
+    const img = preview.tagName === 'IMG' ? preview : preview.querySelector('img');
+    if (!img) {
+        // Background-image previews can't be compared; one attachment is all we know
+        log('Attachment present (preview without <img>, content not compared)');
+        return;
+    }
+
+    // Wait for the preview to decode
     const startTime = Date.now();
+    while (!img.complete && Date.now() - startTime < CONFIG.UPLOAD_VERIFY_TIMEOUT) {
+        await sleep(100);
+    }
+    if (!img.naturalWidth) {
+        throw new Error('Attachment verification failed: the preview did not load');
+    }
 
-    while (Date.now() - startTime < timeout) {
-        // Look for common image preview indicators
-        const previewSelectors = [
-            'img[src*="blob:"]',
-            'img[src*="data:image"]',
-            '[aria-label*="preview" i]',
-            '[aria-label*="Remove" i][role="button"]',  // Remove button appears when image is uploaded
-            '[aria-label*="image" i][role="img"]',
-            '.image-preview',
-            '[data-testid*="image"]',
-            'div[style*="background-image"]'
-        ];
-
-        for (const selector of previewSelectors) {
-            const preview = document.querySelector(selector);
-            if (preview) {
-                log('Image preview detected');
-                return true;
+    const url = img.currentSrc || img.src;
+    if (url.startsWith('blob:')) {
+        try {
+            const blob = await (await fetch(url)).blob();
+            if (blob.size === file.size) {
+                log('✓ Attachment verified (same file)');
+                return;
             }
+        } catch (e) {
+            // Fall through to the aspect ratio check
         }
-
-        await sleep(200);
     }
 
-    return false;
+    const expected = await getImageSize(file);
+    const expectedRatio = expected.width / expected.height;
+    const actualRatio = img.naturalWidth / img.naturalHeight;
+    if (Math.abs(expectedRatio - actualRatio) / expectedRatio > 0.02) {
+        throw new Error(`Attachment verification failed: preview is ${img.naturalWidth}×${img.naturalHeight}, expected the shape of ${expected.width}×${expected.height}`);
+    }
+    log('✓ Attachment verified (matching aspect ratio)');
 }
 
 /**
@@ -424,151 +899,57 @@ async function simulateDragDropOnElement(element, file) {
     log('Drag-drop dispatched on element');
 }
 
-/**
- * Simulate drag and drop for file upload
- * Enhanced to find proper drop zones on Meta AI
- */
-async function simulateDragDrop(file) {
-    const dataTransfer = new DataTransfer();
-    dataTransfer.items.add(file);
-
-    // Set proper drop effect
-    Object.defineProperty(dataTransfer, 'dropEffect', {
-        value: 'copy',
-        writable: true
-    });
-    Object.defineProperty(dataTransfer, 'effectAllowed', {
-        value: 'all',
-        writable: true
-    });
-
-    // Try to find the best drop zone - look for common container patterns
-    const dropZoneSelectors = [
-        '[aria-label*="media" i]',
-        '[aria-label*="upload" i]',
-        '[role="main"]',
-        '.x1n2onr6',
-        '[data-testid*="composer"]',
-        '[contenteditable="true"]',
-        'main',
-        '#root',
-        'body'
-    ];
-
-    let dropZone = null;
-    for (const selector of dropZoneSelectors) {
-        dropZone = document.querySelector(selector);
-        if (dropZone) {
-            log(`Using drop zone: ${selector}`);
-            break;
-        }
-    }
-
-    dropZone = dropZone || document.body;
-
-    // Dispatch dragenter
-    dropZone.dispatchEvent(new DragEvent('dragenter', {
-        bubbles: true,
-        cancelable: true,
-        dataTransfer
-    }));
-
-    await sleep(100);
-
-    // Dispatch dragover multiple times (some sites need this)
-    for (let i = 0; i < 3; i++) {
-        dropZone.dispatchEvent(new DragEvent('dragover', {
-            bubbles: true,
-            cancelable: true,
-            dataTransfer
-        }));
-        await sleep(50);
-    }
-
-    await sleep(100);
-
-    // Dispatch drop
-    dropZone.dispatchEvent(new DragEvent('drop', {
-        bubbles: true,
-        cancelable: true,
-        dataTransfer
-    }));
-
-    // Also dispatch dragleave for cleanup
-    dropZone.dispatchEvent(new DragEvent('dragleave', {
-        bubbles: true,
-        cancelable: true,
-        dataTransfer
-    }));
-
-    log('Simulated drag and drop');
-}
-
 /**
  * Find the Send/Animate button element
  */
 function findSendButton() {
-    // Primary selector based on dev tools analysis
-    let btn = document.querySelector('div[role="button"][aria-label="Send"]');
-    if (btn) return btn;
-
-    // Try other selectors
-    for (const selector of CONFIG.SELECTORS.sendBtnSelectors) {
-        btn = document.querySelector(selector);
-        if (btn) return btn;
-    }
-
-    return null;
+    return findElementNow(CONFIG.SELECTORS.sendBtnSelectors) || discoverAndLearn('sendBtnSelectors');
 }
 
 // ============================================================================
 // MODE DETECTION FUNCTIONS (Image/Video Toggle)
 // ============================================================================
 
+/**
+ * Find the mode toggle button; its aria-label is the current mode
+ */
+function findModeToggle() {
+    return findElementNow(CONFIG.SELECTORS.modeToggleSelectors) || discoverAndLearn('modeToggleSelectors');
+}
+
 /**
  * Get the current mode (Image or Video) from the toggle button
  * @returns {Promise<'Image'|'Video'|null>} Current mode or null if not found
  */
 async function getCurrentMode() {
-    // Look for the mode toggle button by checking both possible states
-    const imageBtn = document.querySelector('div[role="button"][aria-label="Image"]');
-    if (imageBtn) return 'Image';
-
-    const videoBtn = document.querySelector('div[role="button"][aria-label="Video"]');
-    if (videoBtn) return 'Video';
-
-    // Fallback: try the dynamic ID selector
-    const dynamicBtn = document.querySelector('div#_r_7d_[role="button"]');
-    if (dynamicBtn) {
-        return dynamicBtn.getAttribute('aria-label');
-    }
-
-    return null;
+    const toggle = findModeToggle();
+    return toggle ? toggle.getAttribute('aria-label') : null;
 }
 
 /**
- * Find the Video option in the dropdown menu after clicking the mode toggle
- * @returns {Promise<Element|null>} Video option element or null
+ * Find a mode option in the dropdown menu after clicking the mode toggle
+ * @param {'Image'|'Video'} target
+ * @returns {Promise<Element|null>} Option element or null
  */
-async function findVideoOption() {
+async function findModeOption(target) {
     // Wait a moment for dropdown to appear
     await sleep(300);
 
-    // Look for any menu item containing "Video" text
-    const allMenuItems = document.querySelectorAll('[role="menuitem"], [role="option"], [role="menu"] div[role="button"]');
+    // Look for any menu item containing the target text
+    const allMenuItems = document.querySelectorAll(joinSelectors(CONFIG.SELECTORS.modeMenuItemSelectors));
     for (const item of allMenuItems) {
         const text = item.textContent || item.innerText || '';
-        if (text.trim() === 'Video' || item.getAttribute('aria-label') === 'Video') {
-            log('Found Video option in dropdown');
+        if (text.trim() === target || item.getAttribute('aria-label') === target) {
+            log(`Found ${target} option in dropdown`);
             return item;
         }
     }
 
     // Fallback: look for aria-label
-    const fallback = document.querySelector('[aria-label="Video"][role="menuitem"]') ||
-        document.querySelector('[aria-label="Video"][role="option"]');
+    const fallback = document.querySelector(`[aria-label="${target}"][role="menuitem"]`) ||
+        document.querySelector(`[aria-label="${target}"][role="option"]`);
     if (fallback) {
-        log('Found Video option via fallback selector');
+        log(`Found ${target} option via fallback selector`);
         return fallback;
     }
 
@@ -576,60 +957,61 @@ async function findVideoOption() {
 }
 
 /**
- * Ensure the Meta AI is in Video mode before pasting images
- * If currently in Image mode, switch to Video mode
- * @returns {Promise<boolean>} true if now in Video mode, false if failed
+ * Ensure the composer is in the given mode before pasting images
+ * Opens the mode dropdown and picks the target if another mode is active
+ * @param {'Image'|'Video'} target
+ * @returns {Promise<boolean>} true if now in the target mode, false if failed
  */
-async function ensureVideoMode() {
+async function ensureMode(target) {
     log('Checking current mode (Image/Video)...');
 
     const currentMode = await getCurrentMode();
     log(`Current mode detected: ${currentMode}`);
 
-    if (currentMode === 'Video') {
-        log('✓ Already in Video mode');
+    if (currentMode === target) {
+        log(`✓ Already in ${target} mode`);
         return true;
     }
 
-    if (currentMode === 'Image') {
-        log('Currently in Image mode, switching to Video...');
+    if (!Object.values(GENERATION_MODES).includes(currentMode)) {
+        log(`Unknown or missing mode state: ${currentMode}`, 'error');
+        return false;
+    }
 
-        // Click the mode toggle button to open dropdown
-        const modeButton = document.querySelector('div[role="button"][aria-label="Image"]');
-        if (!modeButton) {
-            log('Could not find Image mode toggle button', 'error');
-            return false;
-        }
+    log(`Currently in ${currentMode} mode, switching to ${target}...`);
 
-        modeButton.click();
-        log('Clicked mode toggle button, waiting for dropdown...');
-        await sleep(500);
+    // Click the mode toggle button to open dropdown
+    const modeButton = findModeToggle();
+    if (!modeButton) {
+        log('Could not find mode toggle button', 'error');
+        return false;
+    }
 
-        // Look for Video option in the dropdown
-        const videoOption = await findVideoOption();
-        if (!videoOption) {
-            log('Could not find Video option in dropdown', 'error');
-            // Try pressing Escape to close dropdown
-            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
-            return false;
-        }
+    modeButton.click();
+    log('Clicked mode toggle button, waiting for dropdown...');
+    await sleep(500);
 
-        videoOption.click();
-        log('Clicked Video option');
-        await sleep(500);
+    // Look for the target option in the dropdown
+    const option = await findModeOption(target);
+    if (!option) {
+        log(`Could not find ${target} option in dropdown`, 'error');
+        // Try pressing Escape to close dropdown
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        return false;
+    }
 
-        // Verify the switch was successful
-        const newMode = await getCurrentMode();
-        if (newMode === 'Video') {
-            log('✓ Successfully switched to Video mode');
-            return true;
-        } else {
-            log(`Failed to switch to Video mode (current: ${newMode})`, 'error');
-            return false;
-        }
+    option.click();
+    log(`Clicked ${target} option`);
+    await sleep(500);
+
+    // Verify the switch was successful
+    const newMode = await getCurrentMode();
+    if (newMode === target) {
+        log(`✓ Successfully switched to ${target} mode`);
+        return true;
     }
 
-    log(`Unknown or missing mode state: ${currentMode}`, 'error');
+    log(`Failed to switch to ${target} mode (current: ${newMode})`, 'error');
     return false;
 }
 
@@ -673,13 +1055,13 @@ function waitForSendButtonEnabled() {
                 return;
             }
 
-            // Check for stop signal
-            if (shouldStop) {
+            // Check for stop or pause signal; nothing was submitted yet
+            if (shouldStop || shouldPause) {
                 clearInterval(checkInterval);
                 if (buttonObserver) {
                     buttonObserver.disconnect();
                 }
-                reject(new Error('Stopped by user'));
+                reject(shouldStop ? new Error('Stopped by user') : createPauseError());
                 return;
             }
 
@@ -754,10 +1136,16 @@ async function clickAnimateButton() {
         status: 'Waiting for button to glow...'
     });
 
-    const btn = await waitForSendButtonEnabled();
-
-    if (!btn) {
-        throw new Error('Could not find Send/Animate button or it never became enabled');
+    let btn;
+    try {
+        btn = await waitForSendButtonEnabled();
+    } catch (error) {
+        // A usage cap often shows up as a send button that never enables
+        const limitText = shouldStop || shouldPause ? null : findRateLimitMessage();
+        if (limitText) {
+            throw createRateLimitError(limitText);
+        }
+        throw error;
     }
 
     // Double-check button is enabled before clicking
@@ -769,6 +1157,10 @@ async function clickAnimateButton() {
     // Small delay to ensure UI is fully ready
     await sleep(500);
 
+    // Last point where Pause/Stop can still prevent the submit
+    if (shouldStop) throw new Error('Stopped by user');
+    if (shouldPause) throw createPauseError();
+
     // Log button state before clicking
     const ariaDisabled = btn.getAttribute('aria-disabled');
     log(`Send button aria-disabled = "${ariaDisabled}" - clicking now!`);
@@ -783,213 +1175,588 @@ async function clickAnimateButton() {
     return btn;
 }
 
+// ============================================================================
+// GENERATION TRACKING
+// ============================================================================
+
+/**
+ * Normalized text of an alert, toast or live region
+ */
+function getAlertText(el) {
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
 /**
- * Wait for video generation to complete
- * 
- * Strategy: After clicking Send button, the button becomes disabled again.
- * We wait for the generation to finish by:
- * 1. Detecting when the Send button becomes disabled (generation started)
- * 2. Then waiting a fixed time for generation (since we can't reliably detect completion)
- * 3. Or watching for new video elements to appear
+ * Record the text of every element of a role
+ * Live regions ([aria-live], [role="status"]) usually stay on the page and get
+ * new messages rendered into them, so an element only counts as already seen
+ * while its text is the one recorded here.
+ * @returns {Map<Element, string>}
  */
-async function waitForGenerationComplete() {
-    log('Waiting for video generation to complete...');
+function captureAlertTexts(selectors) {
+    return new Map(Array.from(document.querySelectorAll(joinSelectors(selectors)), el => [el, getAlertText(el)]));
+}
 
-    const startTime = Date.now();
+/**
+ * Snapshot the outputs and alerts already on the page before a submit
+ * Anything in the snapshot (earlier results, gallery items, old toasts) is
+ * never attributed to the item that is about to be submitted
+ */
+function snapshotPage() {
+    const videos = new Set(document.querySelectorAll('video'));
+    const images = new Set(document.querySelectorAll(joinSelectors(CONFIG.SELECTORS.outputImageSelectors)));
+    return {
+        videos: videos,
+        videoUrls: new Set(Array.from(videos).map(getVideoUrl).filter(Boolean)),
+        images: images,
+        imageUrls: new Set(Array.from(images).map(img => img.currentSrc || img.src).filter(Boolean)),
+        alerts: captureAlertTexts(CONFIG.SELECTORS.generationError),
+        limits: captureAlertTexts(CONFIG.SELECTORS.rateLimitSelectors)
+    };
+}
+
+/**
+ * Rebuild a snapshot for an item that was submitted before a pause or reload
+ * The page elements are new, so only the URLs known at submit time (and the
+ * outputs other items already claimed) can be excluded.
+ */
+function restoreSnapshot(saved, claimedUrls) {
+    return {
+        videos: new Set(),
+        videoUrls: new Set([...(saved.knownVideoUrls || []), ...claimedUrls]),
+        images: new Set(),
+        imageUrls: new Set([...(saved.knownImageUrls || []), ...claimedUrls]),
+        alerts: captureAlertTexts(CONFIG.SELECTORS.generationError),
+        limits: captureAlertTexts(CONFIG.SELECTORS.rateLimitSelectors)
+    };
+}
+
+/**
+ * Get the playable URL of a video element (src attribute or first <source>)
+ */
+function getVideoUrl(video) {
+    if (video.currentSrc) return video.currentSrc;
+    if (video.src) return video.src;
+    const source = video.querySelector('source[src]');
+    return source ? source.src : null;
+}
+
+/**
+ * Find a video that appeared after the snapshot and is not yet claimed by another item
+ */
+function findNewVideo(snapshot) {
+    for (const video of document.querySelectorAll('video')) {
+        if (snapshot.videos.has(video)) continue;
+        if (video.dataset.automatorIndex !== undefined) continue;
+        const url = getVideoUrl(video);
+        if (url && snapshot.videoUrls.has(url)) continue;
+        return video;
+    }
+    return null;
+}
+
+/**
+ * Find generated images that appeared after the snapshot, are fully loaded and
+ * not yet claimed by another item. Uploaded previews (blob:/data:) never count.
+ */
+function findNewImages(snapshot) {
+    return Array.from(document.querySelectorAll(joinSelectors(CONFIG.SELECTORS.outputImageSelectors)))
+        .filter(img => {
+            if (snapshot.images.has(img)) return false;
+            if (img.dataset.automatorIndex !== undefined) return false;
+            const url = img.currentSrc || img.src;
+            if (!url || !/^https?:/.test(url) || snapshot.imageUrls.has(url)) return false;
+            return img.complete && Math.max(img.naturalWidth, img.naturalHeight) >= CONFIG.MIN_OUTPUT_IMAGE_SIZE;
+        });
+}
+
+/**
+ * Find a new error toast/banner that reports a failed generation
+ * @returns {string|null} The error text, or null if none is showing
+ */
+function findGenerationError(snapshot) {
+    for (const el of document.querySelectorAll(joinSelectors(CONFIG.SELECTORS.generationError))) {
+        const text = getAlertText(el);
+        if (snapshot.alerts.get(el) === text) continue;
+        if (CONFIG.GENERATION_ERROR_PATTERNS.some(pattern => pattern.test(text))) {
+            return text;
+        }
+    }
+    return null;
+}
 
-    // First, verify the Send button is now disabled (generation started)
-    await sleep(1000);
-    const sendBtn = findSendButton();
-    if (sendBtn) {
-        const isDisabled = sendBtn.getAttribute('aria-disabled') === 'true';
-        log(`Send button is now disabled: ${isDisabled} (generation should be in progress)`);
+/**
+ * Find a visible toast, banner or dialog reporting a rate limit or usage cap
+ * @param {Map<Element, string>} [seen] - From captureAlertTexts; elements still showing that text are ignored
+ * @returns {string|null} The message text, or null if none is showing
+ */
+function findRateLimitMessage(seen = new Map()) {
+    const patterns = rateLimitSettings.patterns.map(pattern => pattern.toLowerCase());
+    for (const el of document.querySelectorAll(joinSelectors(CONFIG.SELECTORS.rateLimitSelectors))) {
+        if (!isElementVisible(el)) continue;
+        const text = getAlertText(el);
+        if (seen.get(el) === text) continue;
+        const lowerText = text.toLowerCase();
+        if (patterns.some(pattern => lowerText.includes(pattern)) || isLimitRetryMessage(lowerText)) {
+            return text.substring(0, 200);
+        }
     }
+    return null;
+}
 
-    // Count existing video elements before we started
-    const initialVideoCount = document.querySelectorAll('video').length;
-    log(`Initial video count on page: ${initialVideoCount}`);
+/**
+ * Whether a "try again later" message is about a limit rather than a generic error
+ */
+function isLimitRetryMessage(lowerText) {
+    const { retryPhrases, limitWords } = RATE_LIMIT_DEFAULTS;
+    return retryPhrases.some(phrase => lowerText.includes(phrase)) &&
+        limitWords.some(word => lowerText.includes(word));
+}
+
+/**
+ * Wait for the output generated by a submitted item
+ *
+ * Strategy: the page is snapshotted before the Send click. Outputs that
+ * appear afterwards and have not been claimed by an earlier item belong to
+ * this item; they are tagged with data-automator-index so they can be found
+ * on the page later.
+ * - Video: the first new <video> with a source is the result.
+ * - Image: Meta renders several images per prompt, one after another; the
+ *   result is every new image once none appeared for IMAGE_SETTLE_TIME.
+ * A new rate limit message ends the wait as "rate_limited" (checked first, as
+ * its text usually matches the generic error patterns too), a new error toast
+ * matching GENERATION_ERROR_PATTERNS fails the item, and nothing within
+ * CONFIG.TIMEOUT times it out.
+ *
+ * @param {number} index - Queue index that submitted the generation
+ * @param {object} snapshot - From snapshotPage()
+ * @param {'video'|'image'} mediaType - What the item generates
+ * @returns {Promise<{status: 'success'|'failed'|'timeout'|'rate_limited', mediaType: string, videoUrl?: string, imageUrls?: string[], error?: string}>}
+ */
+function waitForGenerationComplete(index, snapshot, mediaType = 'video') {
+    log(`Waiting for ${mediaType} generation of item ${index + 1} to complete...`);
+
+    const startTime = Date.now();
 
-    // Wait for either:
-    // 1. A new video element to appear
-    // 2. Or timeout
     return new Promise((resolve, reject) => {
-        const checkInterval = setInterval(() => {
-            // Check for timeout
-            if (Date.now() - startTime > CONFIG.TIMEOUT) {
-                clearInterval(checkInterval);
-                if (currentObserver) {
-                    currentObserver.disconnect();
-                    currentObserver = null;
+        let claimedVideo = null;
+        const claimedImages = [];
+        let lastImageAt = 0;
+
+        const finish = (result) => {
+            clearInterval(checkInterval);
+            if (currentObserver) {
+                currentObserver.disconnect();
+                currentObserver = null;
+            }
+            resolve({ mediaType, ...result });
+        };
+
+        const checkVideo = () => {
+            if (!claimedVideo) {
+                claimedVideo = findNewVideo(snapshot);
+                if (claimedVideo) {
+                    claimedVideo.dataset.automatorIndex = String(index);
+                    log(`✓ New video detected for item ${index + 1}, waiting for it to load...`);
                 }
-                log('Generation timeout - proceeding to next item');
-                resolve(null); // Don't reject, just move on
-                return;
             }
 
-            // Check for stop signal
-            if (shouldStop) {
-                clearInterval(checkInterval);
-                if (currentObserver) {
-                    currentObserver.disconnect();
-                    currentObserver = null;
+            // The element usually appears before its source is attached
+            if (claimedVideo) {
+                const videoUrl = getVideoUrl(claimedVideo);
+                if (videoUrl && snapshot.videoUrls.has(videoUrl)) {
+                    // An old result re-rendered after a reload; not ours
+                    delete claimedVideo.dataset.automatorIndex;
+                    snapshot.videos.add(claimedVideo);
+                    claimedVideo = null;
+                } else if (videoUrl) {
+                    log(`✓ Video ready for item ${index + 1}: ${videoUrl.substring(0, 80)}`);
+                    finish({ status: 'success', videoUrl });
+                    return true;
                 }
-                reject(new Error('Stopped by user'));
-                return;
             }
+            return false;
+        };
+
+        const checkImages = () => {
+            const newImages = findNewImages(snapshot);
+            if (newImages.length > 0) {
+                newImages.forEach(img => { img.dataset.automatorIndex = String(index); });
+                claimedImages.push(...newImages);
+                lastImageAt = Date.now();
+                log(`✓ ${claimedImages.length} image(s) detected for item ${index + 1}, waiting for more...`);
+            }
+
+            if (claimedImages.length > 0 && Date.now() - lastImageAt >= CONFIG.IMAGE_SETTLE_TIME) {
+                const imageUrls = claimedImages.map(img => img.currentSrc || img.src);
+                log(`✓ ${imageUrls.length} image(s) ready for item ${index + 1}`);
+                finish({ status: 'success', imageUrls });
+                return true;
+            }
+            return false;
+        };
 
-            // Check if a new video appeared
-            const currentVideoCount = document.querySelectorAll('video').length;
-            if (currentVideoCount > initialVideoCount) {
+        const check = () => {
+            if (shouldStop || shouldPause) {
                 clearInterval(checkInterval);
                 if (currentObserver) {
                     currentObserver.disconnect();
                     currentObserver = null;
                 }
-                log(`✓ New video detected! (${initialVideoCount} -> ${currentVideoCount})`);
+                if (claimedVideo) delete claimedVideo.dataset.automatorIndex;
+                claimedImages.forEach(img => delete img.dataset.automatorIndex);
+                // Generation continues on Meta's side; a resume picks the result up
+                reject(shouldStop ? new Error('Stopped by user') : createPauseError());
+                return;
+            }
 
-                // Wait a bit for video to fully load
-                setTimeout(() => resolve(true), 2000);
+            if (mediaType === 'image' ? checkImages() : checkVideo()) return;
+
+            const limitText = findRateLimitMessage(snapshot.limits);
+            if (limitText) {
+                log(`Rate limited while generating item ${index + 1}: ${limitText}`, 'error');
+                finish({ status: 'rate_limited', error: limitText });
                 return;
             }
 
-            // Also check if the Send button becomes enabled again (might indicate completion or error)
-            const currentSendBtn = findSendButton();
-            if (currentSendBtn && !isSendButtonEnabled(currentSendBtn)) {
-                // Still generating...
-            } else if (currentSendBtn && isSendButtonEnabled(currentSendBtn) && Date.now() - startTime > 3000) {
-                // Button became enabled again after at least 3 seconds - generation might be done
-                clearInterval(checkInterval);
-                if (currentObserver) {
-                    currentObserver.disconnect();
-                    currentObserver = null;
-                }
-                log('Send button enabled again - generation may be complete');
-                resolve(true);
+            const errorText = findGenerationError(snapshot);
+            if (errorText) {
+                log(`Generation failed for item ${index + 1}: ${errorText}`, 'error');
+                finish({ status: 'failed', error: errorText });
                 return;
             }
-        }, CONFIG.POLL_INTERVAL);
 
-        // MutationObserver to detect new video elements faster
-        currentObserver = new MutationObserver((mutations) => {
-            const currentVideoCount = document.querySelectorAll('video').length;
-            if (currentVideoCount > initialVideoCount) {
-                clearInterval(checkInterval);
-                currentObserver.disconnect();
-                currentObserver = null;
-                log(`✓ New video detected via observer! (${initialVideoCount} -> ${currentVideoCount})`);
-                setTimeout(() => resolve(true), 2000);
+            // Images that already arrived are still collected after the timeout
+            if (Date.now() - startTime > CONFIG.TIMEOUT && claimedImages.length === 0) {
+                log(`Generation timeout for item ${index + 1}`, 'error');
+                finish({ status: 'timeout', error: `No ${mediaType} after ${Math.round(CONFIG.TIMEOUT / 1000)}s` });
             }
-        });
+        };
 
+        const checkInterval = setInterval(check, CONFIG.POLL_INTERVAL);
+
+        // MutationObserver to detect new outputs and toasts faster
+        currentObserver = new MutationObserver(check);
         currentObserver.observe(document.body, {
             childList: true,
-            subtree: true
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['src']
         });
     });
 }
 
 /**
- * Trigger download of the generated content
+ * Copy a page-owned blob: output into an object URL of our own
+ * The page may revoke its URL once the player is replaced; ours stays valid
+ * long enough for the download (and an early retry) to read it.
+ */
+async function createOutputObjectUrl(blobUrl) {
+    const blob = await (await fetch(blobUrl)).blob();
+    const url = URL.createObjectURL(blob);
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    return { url, mimeType: blob.type };
+}
+
+/**
+ * Download a blob: output from the page with a link
+ * background.js picks the download up by URL and gives it the full path.
+ */
+function clickDownloadLink(url, filename) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename.split('/').pop();
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+/**
+ * Ask the background to save a generated video or image (chrome.downloads is
+ * not available to content scripts). Filename and folder come from the
+ * download settings; a failed download never fails the item.
+ * blob: outputs never leave the page: only their URL is sent, and the page
+ * starts the download once the background has named it.
+ * @param {object} output - { url, mediaType, variant } variant numbers the images of one item
+ * @param {object} [retry] - From RETRY_DOWNLOAD: { filename, attempt, runId } of the interrupted download
  */
-async function triggerDownload(downloadBtn) {
-    if (!downloadBtn) {
-        log('No download button provided', 'error');
+async function triggerDownload(index, output, imageName, prompt, retry = null) {
+    try {
+        const source = output.url.startsWith('blob:')
+            ? await createOutputObjectUrl(output.url)
+            : { url: output.url, mimeType: null };
+        const response = await chrome.runtime.sendMessage({
+            type: 'DOWNLOAD_OUTPUT',
+            index,
+            url: source.url,
+            outputUrl: output.url,
+            mimeType: source.mimeType,
+            mediaType: output.mediaType,
+            variant: output.variant || null,
+            imageName,
+            prompt,
+            retry
+        });
+
+        if (response?.pageDownload) {
+            clickDownloadLink(source.url, response.filename);
+        }
+
+        if (response?.success) {
+            log(`Download started: ${response.filename}`);
+        } else if (!response?.skipped) {
+            log(`Download could not start: ${response?.error || 'no response'}`, 'error');
+        }
+        return !!response?.success;
+    } catch (error) {
+        log(`Download request failed: ${error.message}`, 'error');
         return false;
     }
-
-    downloadBtn.click();
-    log('Triggered download');
-    await sleep(1000);
-    return true;
 }
 
 // ============================================================================
-// MAIN AUTOMATION LOOP
+// ITEM EXECUTION
 // ============================================================================
 
 /**
- * Process a single item (image + prompt)
+ * Error thrown at a step boundary when a pause was requested
+ */
+function createPauseError() {
+    const error = new Error('Paused by user');
+    error.reason = 'paused';
+    return error;
+}
+
+/**
+ * Error thrown when Meta AI reports a rate limit or usage cap
+ * The run stops submitting and resumes by itself after the cool-down.
+ */
+function createRateLimitError(messageText) {
+    const error = new Error(`Rate limited: ${messageText}`);
+    error.reason = 'rate_limited';
+    error.limitText = messageText;
+    return error;
+}
+
+/**
+ * Send progress of the current item to the background, which stores it
+ * Throws if the background no longer expects this dispatch (the run was
+ * stopped, or the item was handed out again), so the item is abandoned.
+ */
+async function reportCheckpoint(index, fields) {
+    const response = await chrome.runtime.sendMessage({
+        type: 'ITEM_CHECKPOINT',
+        dispatchId: currentDispatch?.dispatchId,
+        index,
+        fields
+    });
+    if (!response?.success) {
+        const error = new Error('Item is no longer assigned to this page');
+        error.reason = 'stale';
+        throw error;
+    }
+}
+
+/**
+ * Step boundary: stop here if a pause was requested, otherwise record the
+ * step about to run so a resume can continue from it
+ */
+async function checkpoint(index, step, fields = {}) {
+    if (shouldPause) {
+        throw createPauseError();
+    }
+    if (currentDispatch) currentDispatch.step = step;
+    await reportCheckpoint(index, { step, pageSession: PAGE_SESSION_ID, ...fields });
+}
+
+/**
+ * Decide where a resumed item continues
+ * Submitted items always continue waiting for their video. Earlier steps
+ * continue mid-way only on the same page; after a reload the composer is
+ * empty again, so the item starts over.
+ */
+function getResumeStep(saved) {
+    if (!saved || !saved.step) return 'mode';
+    if (saved.step === 'generating') return 'generating';
+    return saved.pageSession === PAGE_SESSION_ID ? saved.step : 'mode';
+}
+
+/**
+ * Process a single item (image + prompt, or prompt only)
  * 
- * Flow:
- * 1. Upload image (via clipboard paste)
- * 2. Set prompt text
- * 3. Wait for Send/Animate button to become enabled (glowing)
- * 4. Click the Send/Animate button
- * 5. Wait for video generation to complete
- * 6. Move to next item
- */
-async function processItem(imageData, prompt, index, total) {
+ * Flow (each step is a pause point, see ITEM_STEPS):
+ * 1. mode:       ensure the item's mode (Video or Image)
+ * 2. upload:     clear leftovers, upload the image and verify it is the only
+ *                attachment; prompt-only items only check the composer is empty
+ * 3. prompt:     set prompt text
+ * 4. submit:     wait for Send/Animate button to glow, then click it
+ * 5. generating: wait for the generated video/images and attribute them to this item
+ *
+ * @param {object|null} imageData - { name, type, data }, null for prompt-only items
+ * @param {{prompt: string, mode: 'video'|'image'}} item
+ * @param {object} [saved] - Stored itemResults entry when resuming a paused item
+ * @returns {Promise<{mediaType: string, videoUrl?: string, imageUrls?: string[]}>} The generated output
+ */
+async function processItem(imageData, item, index, total, saved) {
+    const { prompt, mode } = item;
+    const resumeStep = getResumeStep(saved);
+    const startAt = ITEM_STEPS.indexOf(resumeStep);
+
+    if (!imageData && !prompt.trim()) {
+        throw new Error('Item has neither an image nor a prompt');
+    }
+
     log(`\n========================================`);
-    log(`Processing item ${index + 1}/${total}`);
-    log(`Image: ${imageData.name}`);
+    log(`Processing item ${index + 1}/${total}${startAt > 0 ? ` (resuming at ${resumeStep})` : ''}`);
+    log(`Image: ${imageData ? imageData.name : '(none - prompt only)'}`);
     log(`Prompt: ${prompt.substring(0, 50)}...`);
+    log(`Mode: ${GENERATION_MODES[mode]}`);
     log(`========================================\n`);
 
-    // Step 0: Ensure we're in Video mode (not Image mode)
-    sendToSidebar({
+    const progress = (status) => sendToSidebar({
         type: 'PROGRESS_UPDATE',
         current: index + 1,
         total: total,
-        status: 'Checking mode...'
+        status: status
     });
 
-    log('Step 0: Ensuring Video mode is active...');
-    const modeOk = await ensureVideoMode();
-    if (!modeOk) {
-        log('Warning: Could not verify Video mode, proceeding anyway...', 'error');
-    }
+    let snapshot = null;
 
-    sendToSidebar({
-        type: 'PROGRESS_UPDATE',
-        current: index + 1,
-        total: total,
-        status: 'Uploading image...'
-    });
+    // Step 0: Switch the composer to the item's mode
+    if (startAt <= ITEM_STEPS.indexOf('mode')) {
+        await checkpoint(index, 'mode');
+        progress('Checking mode...');
+
+        log(`Step 0: Ensuring ${GENERATION_MODES[mode]} mode is active...`);
+        // Submitting in the wrong mode would waste a generation on the wrong output
+        const modeOk = await ensureMode(GENERATION_MODES[mode]);
+        if (!modeOk) {
+            throw new Error(`Could not switch to ${GENERATION_MODES[mode]} mode`);
+        }
+    }
 
     // Step 1: Upload image
-    log('Step 1: Uploading image...');
-    await uploadImage(imageData);
-    log('✓ Image upload initiated');
+    if (startAt <= ITEM_STEPS.indexOf('upload')) {
+        await checkpoint(index, 'upload');
+        await clearComposer();
+        if (imageData) {
+            progress('Uploading image...');
+
+            log('Step 1: Uploading image...');
+            const file = await uploadImage(imageData);
+            await verifyAttachment(file);
+        } else {
+            log('Step 1: No image for this item, skipping upload');
+            const leftover = getAttachments(findComposer()).length;
+            if (leftover > 0) {
+                throw new Error(`Attachment verification failed: expected no attachment, found ${leftover}`);
+            }
+        }
+    }
 
     // Step 2: Set prompt (optional - some users may not want prompt)
-    if (prompt && prompt.trim().length > 0) {
-        log('Step 2: Setting prompt text...');
-        await setPromptText(prompt);
-        log('✓ Prompt set');
+    if (startAt <= ITEM_STEPS.indexOf('prompt')) {
+        await checkpoint(index, 'prompt');
+        if (prompt && prompt.trim().length > 0) {
+            log('Step 2: Setting prompt text...');
+            await setPromptText(prompt);
+            log('✓ Prompt set');
+        }
     }
 
     // Step 3: Wait for Send button to glow and click it
-    log('Step 3: Waiting for Send/Animate button to become enabled...');
-    sendToSidebar({
-        type: 'PROGRESS_UPDATE',
-        current: index + 1,
-        total: total,
-        status: 'Waiting for button to activate...'
-    });
+    if (startAt <= ITEM_STEPS.indexOf('submit')) {
+        await checkpoint(index, 'submit');
+        log('Step 3: Waiting for Send/Animate button to become enabled...');
+        progress('Waiting for button to activate...');
+
+        // A limit banner that is still up means submitting would only burn the item
+        const limitText = findRateLimitMessage();
+        if (limitText) {
+            throw createRateLimitError(limitText);
+        }
 
-    await clickAnimateButton();
-    log('✓ Animate button clicked');
+        // Snapshot before submitting so only outputs created by this submit are attributed to it
+        snapshot = snapshotPage();
 
-    // NO WAITING: Immediately proceed to next image
-    // Meta AI handles generation in background while we process next image
+        await clickAnimateButton();
+        log('✓ Animate button clicked');
 
-    // Mark item complete
-    sendToSidebar({
-        type: 'ITEM_COMPLETE',
-        index: index
-    });
+        // Recorded without a pause check: the submit already happened
+        currentDispatch.step = 'generating';
+        await reportCheckpoint(index, {
+            step: 'generating',
+            submittedAt: Date.now(),
+            knownVideoUrls: Array.from(snapshot.videoUrls).slice(-200),
+            knownImageUrls: Array.from(snapshot.imageUrls).slice(-200)
+        });
+    } else {
+        const { itemResults = {} } = await chrome.storage.local.get(['itemResults']);
+        const claimedUrls = Object.values(itemResults)
+            .flatMap(r => [r.videoUrl, ...(r.imageUrls || [])])
+            .filter(Boolean);
+        snapshot = restoreSnapshot(saved, claimedUrls);
+    }
 
-    log(`✓ Item ${index + 1}/${total} completed!`);
+    // Step 4: Wait for the generated output
+    log(`Step 4: Waiting for ${mode} generation...`);
+    progress(`Generating ${mode}...`);
 
-    // Update storage
-    await chrome.storage.local.set({ currentIndex: index + 1 });
+    const result = await waitForGenerationComplete(index, snapshot, mode);
+
+    if (result.status === 'rate_limited') {
+        throw createRateLimitError(result.error);
+    }
+
+    if (result.status !== 'success') {
+        const error = new Error(result.status === 'timeout'
+            ? `Generation timed out: ${result.error}`
+            : `Generation failed: ${result.error}`);
+        error.reason = result.status;
+        throw error;
+    }
+
+    if (result.mediaType === 'image') {
+        for (let i = 0; i < result.imageUrls.length; i++) {
+            await triggerDownload(index, { url: result.imageUrls[i], mediaType: 'image', variant: i + 1 }, imageData?.name, prompt);
+        }
+    } else {
+        await triggerDownload(index, { url: result.videoUrl, mediaType: 'video' }, imageData?.name, prompt);
+    }
+
+    log(`✓ Item ${index + 1}/${total} completed!`);
 
     // Brief delay to let UI update before next upload
     await sleep(500);
+    return result;
 }
 
+// ============================================================================
+// ERROR CLASSIFICATION
+// ============================================================================
+
 /**
- * Request image data from sidebar on-demand (lazy loading)
+ * Sort an error into "retryable" (transient page/messaging problems) or "fatal"
+ * The background decides about retries (RETRY_DEFAULTS in background.js)
+ * @returns {'retryable'|'fatal'}
+ */
+function classifyError(error) {
+    if (shouldStop || error.reason === 'timeout') return 'fatal';
+    return CONFIG.RETRYABLE_ERROR_PATTERNS.some(pattern => pattern.test(error.message)) ? 'retryable' : 'fatal';
+}
+
+/**
+ * Load the rate limit patterns and cool-down (options page) over the defaults
+ */
+async function getRateLimitSettings() {
+    const { rateLimitSettings: saved } = await chrome.storage.sync.get(['rateLimitSettings']);
+    return normalizeRateLimitSettings(saved);
+}
+
+/**
+ * Request image data on-demand (lazy loading)
+ * The background serves it from IndexedDB, so the sidebar may be closed
  * This prevents memory exhaustion when handling 30+ images
  */
 async function requestImageData(index) {
@@ -998,7 +1765,7 @@ async function requestImageData(index) {
             { type: 'GET_IMAGE_DATA', index: index },
             (response) => {
                 if (chrome.runtime.lastError) {
-                    reject(new Error('Could not get image from sidebar: ' + chrome.runtime.lastError.message));
+                    reject(new Error('Could not get image: ' + chrome.runtime.lastError.message));
                 } else if (response && response.success) {
                     resolve(response.imageData);
                 } else {
@@ -1009,103 +1776,99 @@ async function requestImageData(index) {
     });
 }
 
-/**
- * Main automation runner - uses lazy loading for images
- * Images are fetched one-at-a-time from sidebar to prevent memory exhaustion
+// ============================================================================
+// WORKER
+// ============================================================================
+
+/*
+ * background.js owns the run: the queue, the cursor, item status and retries.
+ * This script only executes the one item it is handed (EXECUTE_ITEM) and
+ * reports progress (ITEM_CHECKPOINT) and the outcome (ITEM_RESULT). Nothing
+ * here has to survive a reload: the background hands the item out again and
+ * it continues from its last recorded step.
  */
-async function runAutomation() {
-    if (isRunning) {
-        log('Automation already running');
-        return;
-    }
 
-    isRunning = true;
+/**
+ * Execute one item and report its outcome to the background; never throws
+ * @param {object} dispatch - EXECUTE_ITEM message: { dispatchId, runId, index, total, item, saved, attempt, maxAttempts }
+ *   item: { prompt, mode: 'video'|'image', hasImage }
+ */
+async function executeItem(dispatch) {
+    const { index, total, item, saved, attempt, maxAttempts } = dispatch;
+    currentDispatch = dispatch;
     shouldStop = false;
+    shouldPause = false;
+    discoveredElements.clear();
 
+    let report;
     try {
-        // Get queue metadata from storage (NOT full image data)
-        const state = await chrome.storage.local.get(['queueMeta', 'prompts', 'currentIndex', 'totalItems']);
+        rateLimitSettings = await getRateLimitSettings();
+        await loadSelectors();
 
-        // Support both old format (queue) and new format (queueMeta) for backwards compatibility
-        const totalItems = state.totalItems || state.queueMeta?.length || 0;
+        let imageData = null;
+        if (item.hasImage) {
+            // LAZY LOADING: Request image data for this specific index
+            log(`Requesting image ${index + 1}/${total} from storage...`);
 
-        if (!state.prompts || totalItems === 0) {
-            throw new Error('No queue found in storage');
-        }
-
-        const prompts = state.prompts;
-        const startIndex = state.currentIndex || 0;
+            sendToSidebar({
+                type: 'PROGRESS_UPDATE',
+                current: index + 1,
+                total: total,
+                status: attempt > 1 ? `Loading image (attempt ${attempt}/${maxAttempts})...` : 'Loading image...'
+            });
 
-        log(`Starting automation from index ${startIndex}, total items: ${totalItems}`);
-        log(`Using lazy loading - images will be fetched one at a time`);
+            imageData = await requestImageData(index);
 
-        // Process each item sequentially - request images on-demand
-        for (let i = startIndex; i < totalItems; i++) {
-            if (shouldStop) {
-                log('Automation stopped by user');
-                sendToSidebar({ type: 'AUTOMATION_STOPPED' });
-                break;
+            if (!imageData) {
+                throw new Error('Failed to load image data');
             }
 
-            try {
-                // LAZY LOADING: Request image data from sidebar for this specific index
-                log(`Requesting image ${i + 1}/${totalItems} from sidebar...`);
-
-                sendToSidebar({
-                    type: 'PROGRESS_UPDATE',
-                    current: i + 1,
-                    total: totalItems,
-                    status: 'Loading image...'
-                });
-
-                const imageData = await requestImageData(i);
-
-                if (!imageData) {
-                    throw new Error('Failed to load image data from sidebar');
-                }
-
-                log(`Image ${i + 1} loaded successfully (${imageData.name})`);
-
-                await processItem(imageData, prompts[i], i, totalItems);
-
-            } catch (error) {
-                log(`Error processing item ${i + 1}: ${error.message}`, 'error');
-                sendToSidebar({
-                    type: 'ITEM_ERROR',
-                    index: i,
-                    error: error.message
-                });
-
-                // Skip to next item
-                await chrome.storage.local.set({ currentIndex: i + 1 });
-
-                // Brief pause before continuing on error
-                await sleep(1000);
-            }
+            log(`Image ${index + 1} loaded successfully (${imageData.name})`);
         }
 
-        // Automation complete
-        if (!shouldStop) {
-            log('Automation complete!');
-            sendToSidebar({ type: 'AUTOMATION_COMPLETE' });
-            await chrome.storage.local.set({ isRunning: false, currentIndex: 0 });
-        }
+        const result = await processItem(imageData, item, index, total, saved);
+        report = { outcome: 'success', ...result };
 
     } catch (error) {
-        log(`Automation error: ${error.message}`, 'error');
-        sendToSidebar({
-            type: 'ITEM_ERROR',
-            index: -1,
-            error: error.message
-        });
+        if (shouldStop || error.reason === 'stale') {
+            log(`Item ${index + 1} abandoned: ${error.message}`);
+            report = { outcome: 'stopped' };
+        } else if (error.reason === 'paused' || shouldPause) {
+            log(`Paused at item ${index + 1}`);
+            report = { outcome: 'paused' };
+        } else if (error.reason === 'rate_limited') {
+            log(`Rate limited at item ${index + 1}: ${error.limitText}`, 'error');
+            report = { outcome: 'rate_limited', error: error.limitText, cooldownMinutes: rateLimitSettings.cooldownMinutes };
+        } else {
+            const errorClass = classifyError(error);
+            log(`Error processing item ${index + 1} (attempt ${attempt}/${maxAttempts}, ${errorClass}): ${error.message}`, 'error');
+            report = { outcome: 'error', error: error.message, reason: error.reason || 'failed', errorClass };
+        }
     } finally {
-        isRunning = false;
+        currentDispatch = null;
         shouldStop = false;
+        shouldPause = false;
+    }
+
+    try {
+        await chrome.runtime.sendMessage({ type: 'ITEM_RESULT', dispatchId: dispatch.dispatchId, index, attempt, ...report });
+    } catch (error) {
+        // Background unreachable: its watchdog finds this page idle and hands the item out again
+        log(`Could not report item ${index + 1}: ${error.message}`, 'error');
     }
 }
 
 /**
- * Stop the automation
+ * Pause the current item at the next step boundary
+ * An item waiting for its generation pauses at once; the output is picked up on resume
+ */
+function pauseAutomation() {
+    log('Pause requested - finishing current step');
+    shouldPause = true;
+}
+
+/**
+ * Abandon the current item
  */
 function stopAutomation() {
     log('Stop requested');
@@ -1123,9 +1886,22 @@ function stopAutomation() {
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.type) {
-        case 'START_AUTOMATION':
-            runAutomation();
-            sendResponse({ success: true });
+        case 'EXECUTE_ITEM':
+            if (currentDispatch) {
+                sendResponse({ accepted: false, dispatchId: currentDispatch.dispatchId });
+                break;
+            }
+            executeItem(message);
+            sendResponse({ accepted: true });
+            break;
+
+        case 'WORKER_STATUS':
+            sendResponse({ dispatchId: currentDispatch?.dispatchId ?? null });
+            break;
+
+        case 'PAUSE_AUTOMATION':
+            pauseAutomation();
+            sendResponse({ success: true, dispatchId: currentDispatch?.dispatchId ?? null });
             break;
 
         case 'STOP_AUTOMATION':
@@ -1133,6 +1909,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             sendResponse({ success: true });
             break;
 
+        case 'RETRY_DOWNLOAD':
+            // An interrupted blob: download; the background can't read the page's URL
+            triggerDownload(message.index, { url: message.outputUrl, mediaType: message.mediaType, variant: message.variant },
+                null, null, message.retry)
+                .then(success => sendResponse({ success }));
+            break;
+
+        case 'TEST_SELECTORS':
+            sendResponse({ success: true, results: testSelectors(message.selectors || []) });
+            break;
+
+        case 'RUN_DIAGNOSTICS':
+            // Report the selectors a run would use, even on a page that has not run an item yet
+            loadSelectors()
+                .then(() => sendResponse({ success: true, report: runDiagnostics() }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            break;
+
+        case 'HIGHLIGHT_SELECTOR':
+            sendResponse({ success: true, count: highlightSelector(message.selector) });
+            break;
+
         default:
             sendResponse({ success: false, error: 'Unknown message type' });
     }
@@ -1140,67 +1938,129 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open for async response
 });
 
+// A new page (reload, navigation, restarted tab) is a fresh worker: let the
+// background hand out an item it lost with the previous page right away
+chrome.runtime.sendMessage({ type: 'WORKER_READY' }).catch(() => { /* Background busy starting */ });
+
 // ============================================================================
-// AUTO-RESUME ON PAGE LOAD
+// DIAGNOSTICS
 // ============================================================================
 
-(async function checkAndResume() {
-    const state = await chrome.storage.local.get(['isRunning', 'currentIndex']);
+// Roles the idle composer always shows; the other roles only appear mid-flow
+const DIAGNOSTIC_REQUIRED_ROLES = ['promptInputSelectors', 'addMediaBtnSelectors', 'modeToggleSelectors'];
+const HIGHLIGHT_DURATION = 2500;
 
-    if (state.isRunning && state.currentIndex > 0) {
-        log('Detected interrupted automation, resuming...');
-        await sleep(2000); // Wait for page to fully load
-        runAutomation();
-    }
-})();
+/**
+ * Whether an element takes up space on the page
+ */
+function isElementVisible(el) {
+    return el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+}
 
 /**
- * Diagnostic function to help debug element detection
+ * Short description of an element for reports
  */
-async function runDiagnostics() {
-    log('Running diagnostics...');
+function describeElement(el) {
+    const attrs = [];
+    if (el.getAttribute('aria-label')) attrs.push(`aria-label="${el.getAttribute('aria-label')}"`);
+    if (el.getAttribute('role')) attrs.push(`role="${el.getAttribute('role')}"`);
+    if (el.getAttribute('data-lexical-editor')) attrs.push('data-lexical-editor');
+    if (typeof el.className === 'string' && el.className) attrs.push(`class="${el.className.substring(0, 50)}"`);
+    return `${el.tagName}${attrs.length > 0 ? ` - ${attrs.join(', ')}` : ''}`;
+}
 
-    // Check for prompt input elements
-    log('Checking for prompt input elements:');
-    for (const selector of CONFIG.SELECTORS.promptInputSelectors) {
-        const el = document.querySelector(selector);
-        if (el) {
-            log(`  ✓ FOUND: ${selector}`);
-        }
-    }
+/**
+ * Check every selector role against the current page
+ * Runs on demand from the sidebar's Diagnostics tab
+ * @returns {object} Report with per-role, per-selector match counts
+ */
+function runDiagnostics() {
+    log('Running diagnostics...');
 
-    // Log all contenteditable elements
-    const editables = document.querySelectorAll('[contenteditable="true"]');
-    log(`Found ${editables.length} contenteditable element(s)`);
-    editables.forEach((el, i) => {
-        const attrs = [];
-        if (el.getAttribute('aria-label')) attrs.push(`aria-label="${el.getAttribute('aria-label')}"`);
-        if (el.getAttribute('role')) attrs.push(`role="${el.getAttribute('role')}"`);
-        if (el.getAttribute('data-lexical-editor')) attrs.push('data-lexical-editor');
-        if (el.className) attrs.push(`class="${el.className.substring(0, 50)}"`);
-        log(`  [${i}] ${el.tagName} - ${attrs.join(', ')}`);
+    const roles = Object.keys(CONFIG.SELECTORS).map(role => {
+        const selectors = CONFIG.SELECTORS[role].map(selector => {
+            try {
+                const matches = Array.from(document.querySelectorAll(selector));
+                return {
+                    selector,
+                    count: matches.length,
+                    visible: matches.filter(isElementVisible).length,
+                    sample: matches[0] ? describeElement(matches[0]) : null
+                };
+            } catch (error) {
+                return { selector, count: 0, visible: 0, sample: null, error: error.message };
+            }
+        });
+        // The first matching selector is the one the automation would use
+        const active = selectors.find(result => result.count > 0);
+
+        return {
+            role,
+            label: SELECTOR_ROLE_LABELS[role] || role,
+            required: DIAGNOSTIC_REQUIRED_ROLES.includes(role),
+            found: !!active,
+            activeSelector: active ? active.selector : null,
+            learnedSelector: learnedSelectors[role] || null,
+            selectors
+        };
     });
 
-    // Check for Add Media button
-    log('Checking for Add Media button:');
-    for (const selector of CONFIG.SELECTORS.addMediaBtnSelectors) {
-        const el = document.querySelector(selector);
-        if (el) {
-            log(`  ✓ FOUND: ${selector}`);
-        }
-    }
+    const missing = roles.filter(role => role.required && !role.found);
+    missing.forEach(role => log(`  ✗ MISSING: ${role.label}`, 'error'));
+    log(`Diagnostics: ${roles.filter(role => role.found).length}/${roles.length} roles found`);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        url: window.location.href,
+        viewport: `${window.innerWidth}x${window.innerHeight}`,
+        pageSession: PAGE_SESSION_ID,
+        automationRunning: currentDispatch !== null,
+        currentMode: findElementNow(CONFIG.SELECTORS.modeToggleSelectors)?.getAttribute('aria-label') || null,
+        healthy: missing.length === 0,
+        roles,
+        contentEditables: Array.from(document.querySelectorAll('[contenteditable="true"]')).map(describeElement)
+    };
+}
 
-    // Check for Create/Send buttons
-    log('Checking for Create/Send buttons:');
-    for (const selector of [...CONFIG.SELECTORS.createBtnSelectors, ...CONFIG.SELECTORS.sendBtnSelectors]) {
-        const el = document.querySelector(selector);
-        if (el) {
-            log(`  ✓ FOUND: ${selector}`);
-        }
+/**
+ * Outline every element matching a selector and scroll the first into view
+ * @returns {number} Number of highlighted elements
+ */
+function highlightSelector(selector) {
+    let matches;
+    try {
+        matches = Array.from(document.querySelectorAll(selector)).filter(isElementVisible);
+    } catch (error) {
+        return 0;
     }
+    if (matches.length === 0) return 0;
+
+    matches[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+
+    // Overlays are positioned after the scroll settles
+    setTimeout(() => {
+        matches.forEach(el => {
+            const rect = el.getBoundingClientRect();
+            const overlay = document.createElement('div');
+            overlay.setAttribute('data-automator-highlight', '');
+            Object.assign(overlay.style, {
+                position: 'fixed',
+                top: `${rect.top - 3}px`,
+                left: `${rect.left - 3}px`,
+                width: `${rect.width + 6}px`,
+                height: `${rect.height + 6}px`,
+                border: '3px solid #ff3b7f',
+                borderRadius: '6px',
+                background: 'rgba(255, 59, 127, 0.12)',
+                pointerEvents: 'none',
+                zIndex: '2147483647'
+            });
+            document.body.appendChild(overlay);
+            setTimeout(() => overlay.remove(), HIGHLIGHT_DURATION);
+        });
+    }, 300);
+
+    return matches.length;
 }
 
 log('Content script loaded on ' + window.location.href);
-
-// Run diagnostics after page fully loads
-setTimeout(runDiagnostics, 2000);
@@ -0,0 +1,231 @@
+/**
+ * db.js - IndexedDB storage for queued images and run history
+ *
+ * Loaded by the sidebar (<script>) and the service worker (importScripts),
+ * which share the extension origin and therefore the same database.
+ *
+ * Responsibilities:
+ * - Persist the selected images as Blobs when a run starts
+ * - Serve a single image on demand (lazy loading survives a closed sidebar)
+ * - Remove a run's images once it is finished or discarded
+ * - Keep a history of past runs (settings, items, outcomes, saved files)
+ *
+ * Images live in the "images" store keyed by [runId, index], history
+ * records in the "runHistory" store keyed by runId.
+ */
+
+const IMAGE_DB_NAME = 'meta-ai-automator';
+const IMAGE_DB_VERSION = 2;
+const IMAGE_STORE = 'images';
+const HISTORY_STORE = 'runHistory';
+const HISTORY_LIMIT = 200;  // Oldest runs are dropped beyond this
+
+let imageDbPromise = null;
+
+/**
+ * Open (and create on first use) the image database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openImageDb() {
+    if (imageDbPromise) return imageDbPromise;
+
+    imageDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(IMAGE_DB_NAME, IMAGE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+                const store = db.createObjectStore(IMAGE_STORE, { keyPath: ['runId', 'index'] });
+                store.createIndex('runId', 'runId');
+            }
+            if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'runId' });
+                store.createIndex('startedAt', 'startedAt');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            imageDbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return imageDbPromise;
+}
+
+/**
+ * Wrap an IDBRequest/IDBTransaction in a promise
+ */
+function idbDone(target) {
+    return new Promise((resolve, reject) => {
+        if (target instanceof IDBTransaction) {
+            target.oncomplete = () => resolve();
+            target.onerror = () => reject(target.error);
+            target.onabort = () => reject(target.error || new Error('Transaction aborted'));
+        } else {
+            target.onsuccess = () => resolve(target.result);
+            target.onerror = () => reject(target.error);
+        }
+    });
+}
+
+/**
+ * Store the images of a run, one record per queue index
+ * @param {string} runId
+ * @param {(File|null)[]} files - In queue order; null for prompt-only items
+ */
+async function saveRunImages(runId, files) {
+    const db = await openImageDb();
+    const tx = db.transaction(IMAGE_STORE, 'readwrite');
+    const store = tx.objectStore(IMAGE_STORE);
+
+    files.forEach((file, index) => {
+        if (!file) return;
+        store.put({ runId, index, name: file.name, type: file.type, size: file.size, blob: file });
+    });
+
+    await idbDone(tx);
+}
+
+/**
+ * Get the stored image record for a queue index
+ * @returns {Promise<{runId: string, index: number, name: string, type: string, size: number, blob: Blob}|undefined>}
+ */
+async function getRunImage(runId, index) {
+    const db = await openImageDb();
+    const tx = db.transaction(IMAGE_STORE, 'readonly');
+    return idbDone(tx.objectStore(IMAGE_STORE).get([runId, index]));
+}
+
+/**
+ * Delete the images of one run
+ */
+async function deleteRunImages(runId) {
+    const db = await openImageDb();
+    const tx = db.transaction(IMAGE_STORE, 'readwrite');
+    const store = tx.objectStore(IMAGE_STORE);
+    const keys = await idbDone(store.index('runId').getAllKeys(runId));
+    keys.forEach(key => store.delete(key));
+    await idbDone(tx);
+}
+
+/**
+ * Delete the images of every run except the ones listed
+ * @param {string[]} keepRunIds
+ */
+async function deleteOtherRunImages(keepRunIds = []) {
+    const db = await openImageDb();
+    const tx = db.transaction(IMAGE_STORE, 'readwrite');
+    const store = tx.objectStore(IMAGE_STORE);
+    const keys = await idbDone(store.getAllKeys());
+    keys.filter(([runId]) => !keepRunIds.includes(runId)).forEach(key => store.delete(key));
+    await idbDone(tx);
+}
+
+/**
+ * Convert a Blob to a data URL
+ * FileReader is not available in service workers, so encode the bytes directly
+ */
+async function blobToDataUrl(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    const chunkSize = 0x8000; // Stay well below the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
+
+/**
+ * Copy selected images of one run into a new run, renumbered 0..n-1
+ * @param {string} fromRunId
+ * @param {string} toRunId
+ * @param {number[]} indices - Source indices, in the new queue order
+ * @returns {Promise<number>} Number of images copied (missing ones are skipped)
+ */
+async function copyRunImages(fromRunId, toRunId, indices) {
+    const db = await openImageDb();
+    const tx = db.transaction(IMAGE_STORE, 'readwrite');
+    const store = tx.objectStore(IMAGE_STORE);
+    let copied = 0;
+
+    for (let i = 0; i < indices.length; i++) {
+        const record = await idbDone(store.get([fromRunId, indices[i]]));
+        if (record) {
+            store.put({ ...record, runId: toRunId, index: i });
+            copied++;
+        }
+    }
+
+    await idbDone(tx);
+    return copied;
+}
+
+// ============================================================================
+// RUN HISTORY
+// ============================================================================
+
+/*
+ * One record per run, rewritten by background.js whenever the run changes state:
+ * { runId, startedAt, finishedAt, updatedAt, state, settings, items, downloads }
+ * - items:     [{ index, imageName, imageSize, mode, prompt, status, attempts,
+ *                startedAt, finishedAt, error, mediaType, videoUrl, imageUrls }]
+ * - downloads: { [index]: [filename, ...] } of the saved outputs
+ */
+
+/**
+ * Store the latest snapshot of a run, keeping the files saved for it so far
+ * @param {object} record - Without downloads
+ */
+async function saveRunHistory(record) {
+    const db = await openImageDb();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+
+    const existing = await idbDone(store.get(record.runId));
+    store.put({ downloads: {}, ...existing, ...record });
+
+    // Drop the oldest runs beyond the limit
+    const keys = await idbDone(store.index('startedAt').getAllKeys());
+    keys.slice(0, Math.max(0, keys.length - HISTORY_LIMIT)).forEach(key => store.delete(key));
+
+    await idbDone(tx);
+}
+
+/**
+ * Note a saved output file of a run
+ */
+async function addRunHistoryDownload(runId, index, filename) {
+    const db = await openImageDb();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+
+    const record = await idbDone(store.get(runId));
+    if (record) {
+        record.downloads = { ...record.downloads, [index]: [...(record.downloads?.[index] || []), filename] };
+        store.put(record);
+    }
+
+    await idbDone(tx);
+}
+
+/**
+ * All history records, newest first
+ * @returns {Promise<object[]>}
+ */
+async function getRunHistory() {
+    const db = await openImageDb();
+    const tx = db.transaction(HISTORY_STORE, 'readonly');
+    const records = await idbDone(tx.objectStore(HISTORY_STORE).index('startedAt').getAll());
+    return records.reverse();
+}
+
+/**
+ * Delete the history record of one run
+ */
+async function deleteRunHistory(runId) {
+    const db = await openImageDb();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    tx.objectStore(HISTORY_STORE).delete(runId);
+    await idbDone(tx);
+}
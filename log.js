@@ -0,0 +1,68 @@
+/**
+ * log.js - Structured log entries shared by content.js, sidebar.js and background.js
+ *
+ * Loaded by the content script (before content.js), the sidebar (<script>)
+ * and the service worker (importScripts). An entry is a plain object:
+ *   { time, level, source, runId, index, step, message }
+ * - level:  debug | info | success | warn | error
+ * - source: content | sidebar | background
+ * - index:  0-based queue index of the item, or null for run-level entries
+ * - step:   the item's step (mode, upload, prompt, submit, generating) or null
+ *
+ * The log is a ring buffer of the last LOG_BUFFER_SIZE entries in
+ * chrome.storage.local ("logs"). background.js is its only writer: the
+ * content script and the sidebar send their entries as LOG_ENTRY messages,
+ * which the sidebar also receives from the pages to show them live.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'success', 'warn', 'error'];
+const LOG_BUFFER_SIZE = 1000;
+
+/**
+ * Build a log entry
+ * @param {'content'|'sidebar'|'background'} source
+ * @param {string} level - One of LOG_LEVELS (anything else is logged as info)
+ * @param {string} message - Plain text; renderers must never treat it as HTML
+ * @param {{runId?: string, index?: number, step?: string}} [context]
+ */
+function createLogEntry(source, level, message, context = {}) {
+    return {
+        time: Date.now(),
+        level: LOG_LEVELS.includes(level) ? level : 'info',
+        source,
+        runId: context.runId || null,
+        index: Number.isInteger(context.index) ? context.index : null,
+        step: context.step || null,
+        message: String(message)
+    };
+}
+
+/**
+ * Whether a stored value is an entry of this format
+ * Older versions stored { time: 'HH:MM:SS', message, type }; those are dropped.
+ */
+function isLogEntry(entry) {
+    return !!entry && typeof entry.time === 'number' && LOG_LEVELS.includes(entry.level);
+}
+
+/**
+ * Whether an entry is at least as severe as a level
+ */
+function isLogLevelAtLeast(entry, level) {
+    return LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(level);
+}
+
+/**
+ * Serialize entries as JSON Lines (one JSON object per line)
+ */
+function toJsonLines(entries) {
+    return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+}
+
+/**
+ * Hand an entry to background.js for the ring buffer
+ * Sent from a page, it also reaches the sidebar.
+ */
+function sendLogEntry(entry) {
+    chrome.runtime.sendMessage({ type: 'LOG_ENTRY', entry }).catch(() => { /* Extension reloading */ });
+}
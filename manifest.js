@@ -0,0 +1,204 @@
+/**
+ * manifest.js - Batch manifest parsing and matching
+ *
+ * A manifest maps image filenames to prompts so pairing no longer depends on
+ * the order of the file picker. Loaded by sidebar.html before sidebar.js.
+ *
+ * Accepted formats:
+ * - CSV with a header row: filename,prompt[,repeat][,mode]
+ *   (comma, semicolon or tab separated; quoted fields may contain separators,
+ *   newlines and "" escaped quotes)
+ * - JSON: an array of entries, or { "items": [...] }, where each entry is
+ *   { "filename": "...", "prompt": "...", "repeat": 2, "mode": "video" }
+ *
+ * Column/key aliases: filename|file|image|imageName, prompt|text
+ *
+ * An entry with a prompt but no filename is a prompt-only item (text-to-video
+ * or text-to-image), so one manifest can mix both kinds of items.
+ */
+
+const MANIFEST_MAX_REPEAT = 50;
+const MANIFEST_MODES = ['video', 'image'];
+
+/**
+ * Split CSV text into rows of fields
+ */
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim().length > 0));
+}
+
+/**
+ * Pick the first present alias from a raw entry
+ */
+function pickField(entry, aliases) {
+    for (const key of Object.keys(entry)) {
+        if (aliases.includes(key.trim().toLowerCase())) {
+            return entry[key];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Validate and normalize one raw entry
+ * @returns {{entry?: object, error?: string}}
+ */
+function normalizeManifestEntry(raw, line) {
+    const filename = String(pickField(raw, ['filename', 'file', 'image', 'imagename']) ?? '').trim();
+    const prompt = String(pickField(raw, ['prompt', 'text']) ?? '').trim();
+    const repeatValue = pickField(raw, ['repeat', 'count', 'repeats']);
+    const modeValue = pickField(raw, ['mode']);
+
+    if (!filename && !prompt) {
+        return { error: `Line ${line}: needs a filename, a prompt or both` };
+    }
+
+    let repeat = 1;
+    if (repeatValue !== undefined && String(repeatValue).trim() !== '') {
+        repeat = parseInt(repeatValue, 10);
+        if (!Number.isInteger(repeat) || repeat < 1 || repeat > MANIFEST_MAX_REPEAT) {
+            return { error: `Line ${line}: repeat must be 1-${MANIFEST_MAX_REPEAT}` };
+        }
+    }
+
+    let mode = null;
+    if (modeValue !== undefined && String(modeValue).trim() !== '') {
+        mode = String(modeValue).trim().toLowerCase();
+        if (!MANIFEST_MODES.includes(mode)) {
+            return { error: `Line ${line}: mode must be ${MANIFEST_MODES.join(' or ')}` };
+        }
+    }
+
+    return { entry: { filename, prompt, repeat, mode, line } };
+}
+
+/**
+ * Parse manifest file contents
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to pick the format
+ * @returns {{entries: object[], errors: string[]}}
+ */
+function parseManifest(text, fileName) {
+    let rawEntries;
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+    if (isJson) {
+        const parsed = JSON.parse(text);
+        rawEntries = Array.isArray(parsed) ? parsed : parsed.items;
+        if (!Array.isArray(rawEntries)) {
+            throw new Error('JSON manifest must be an array or { "items": [...] }');
+        }
+    } else {
+        const [header, ...rows] = parseCsv(text);
+        if (!header) {
+            throw new Error('CSV manifest is empty');
+        }
+        rawEntries = rows.map(row => Object.fromEntries(header.map((key, i) => [key, row[i] ?? ''])));
+    }
+
+    const entries = [];
+    const errors = [];
+
+    rawEntries.forEach((raw, i) => {
+        // Header is line 1 in CSV files
+        const line = isJson ? i + 1 : i + 2;
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`Line ${line}: not an object`);
+            return;
+        }
+        const { entry, error } = normalizeManifestEntry(raw, line);
+        if (error) errors.push(error);
+        else entries.push(entry);
+    });
+
+    return { entries, errors };
+}
+
+/**
+ * Normalize a filename for matching: basename only, case-insensitive
+ */
+function manifestKey(name) {
+    return name.split(/[\\/]/).pop().trim().toLowerCase();
+}
+
+/**
+ * Match manifest entries against the selected files by name
+ * @param {object[]} entries - From parseManifest
+ * @param {File[]} files - Selected files
+ * @returns {{matched: {entry: object, fileIndex: number|null}[], missing: object[], unused: string[]}}
+ *   matched: prompt-only entries have fileIndex null;
+ *   missing: entries without a selected file; unused: selected files no entry refers to
+ */
+function matchManifest(entries, files) {
+    const fileIndexByKey = new Map();
+    files.forEach((file, index) => {
+        const key = manifestKey(file.name);
+        if (!fileIndexByKey.has(key)) fileIndexByKey.set(key, index);
+    });
+
+    const matched = [];
+    const missing = [];
+    const used = new Set();
+
+    for (const entry of entries) {
+        if (!entry.filename) {
+            matched.push({ entry, fileIndex: null });
+            continue;
+        }
+        const fileIndex = fileIndexByKey.get(manifestKey(entry.filename));
+        if (fileIndex === undefined) {
+            missing.push(entry);
+        } else {
+            matched.push({ entry, fileIndex });
+            used.add(fileIndex);
+        }
+    }
+
+    const unused = files.filter((file, index) => !used.has(index)).map(file => file.name);
+
+    return { matched, missing, unused };
+}
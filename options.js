@@ -0,0 +1,425 @@
+/**
+ * options.js - Options page: selector registry and upload methods
+ *
+ * Responsibilities:
+ * - Show every selector role (defaults from selectors.js, or the user's override)
+ * - Edit, reorder, add and remove selectors per role
+ * - Test a role's selectors against an open meta.ai tab
+ * - Save overrides to chrome.storage.sync (content.js merges them at runtime)
+ * - Export/import selector packs as JSON
+ * - Show upload strategy stats and pin/disable strategies
+ * - Edit the rate limit message patterns and cool-down
+ */
+
+// Keep in sync with UPLOAD_STRATEGIES in content.js (default order)
+const UPLOAD_STRATEGY_LABELS = {
+    paste: 'Synthetic paste',
+    beforeinput: 'beforeinput event',
+    dragdrop: 'Drag and drop',
+    fileInput: 'Hidden file input'
+};
+
+// DOM Elements
+const roleList = document.getElementById('roleList');
+const saveBtn = document.getElementById('saveBtn');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importInput = document.getElementById('importInput');
+const resetAllBtn = document.getElementById('resetAllBtn');
+const statusMessage = document.getElementById('statusMessage');
+const strategyList = document.getElementById('strategyList');
+const cooldownInput = document.getElementById('cooldownInput');
+const rateLimitPatternsInput = document.getElementById('rateLimitPatternsInput');
+const resetRateLimitBtn = document.getElementById('resetRateLimitBtn');
+
+// State
+let drafts = {};  // role -> selector list being edited
+
+/**
+ * Load the saved overrides into the editor
+ */
+async function init() {
+    const { selectorOverrides = {} } = await chrome.storage.sync.get(['selectorOverrides']);
+    drafts = mergeSelectors(selectorOverrides);
+    renderRoles();
+    await renderStrategies();
+    await loadRateLimitSettings();
+}
+
+/**
+ * Show a status line above the role list
+ */
+function showStatus(message, type = 'info') {
+    statusMessage.textContent = message;
+    statusMessage.className = `options-status ${type === 'error' ? 'error' : ''}`;
+}
+
+/**
+ * Whether a role's list differs from the default
+ */
+function isCustomized(role) {
+    return JSON.stringify(drafts[role]) !== JSON.stringify(DEFAULT_SELECTORS[role]);
+}
+
+/**
+ * Render one card per role
+ */
+function renderRoles() {
+    roleList.replaceChildren(...Object.keys(DEFAULT_SELECTORS).map(renderRole));
+}
+
+/**
+ * Render a role card: header, one row per selector, and role actions
+ */
+function renderRole(role) {
+    const card = document.createElement('section');
+    card.className = 'role-card';
+    card.dataset.role = role;
+
+    const header = document.createElement('div');
+    header.className = 'role-header';
+    const title = document.createElement('h2');
+    title.textContent = SELECTOR_ROLE_LABELS[role] || role;
+    const key = document.createElement('span');
+    key.className = 'role-key';
+    key.textContent = role;
+    header.append(title, key);
+    if (isCustomized(role)) {
+        const badge = document.createElement('span');
+        badge.className = 'role-badge';
+        badge.textContent = 'Customized';
+        header.appendChild(badge);
+    }
+    card.appendChild(header);
+
+    const list = drafts[role];
+    list.forEach((selector, index) => {
+        const row = document.createElement('div');
+        row.className = 'selector-row';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = `input${isValidSelector(selector) ? '' : ' invalid'}`;
+        input.value = selector;
+        input.spellcheck = false;
+        input.addEventListener('input', () => {
+            list[index] = input.value;
+            input.classList.toggle('invalid', !isValidSelector(input.value));
+        });
+
+        const count = document.createElement('span');
+        count.className = 'match-count';
+        count.dataset.selectorIndex = index;
+
+        row.append(
+            input,
+            count,
+            createRowButton('↑', 'Move up', index === 0, () => moveSelector(role, index, -1)),
+            createRowButton('↓', 'Move down', index === list.length - 1, () => moveSelector(role, index, 1)),
+            createRowButton('✕', 'Remove', list.length === 1, () => {
+                list.splice(index, 1);
+                renderRoles();
+            })
+        );
+        card.appendChild(row);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'role-actions';
+    actions.append(
+        createActionButton('Add selector', () => {
+            list.push('');
+            renderRoles();
+        }),
+        createActionButton('Test on page', () => testRole(role, card)),
+        createActionButton('Reset to default', () => {
+            drafts[role] = [...DEFAULT_SELECTORS[role]];
+            renderRoles();
+        })
+    );
+    card.appendChild(actions);
+
+    return card;
+}
+
+function createRowButton(label, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.className = 'queue-btn';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function createActionButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary btn-small';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Swap a selector with its neighbour
+ */
+function moveSelector(role, index, step) {
+    const list = drafts[role];
+    [list[index], list[index + step]] = [list[index + step], list[index]];
+    renderRoles();
+}
+
+/**
+ * Find an open meta.ai/media tab to test against (the active one if possible)
+ */
+async function findMetaTab() {
+    const tabs = await chrome.tabs.query({ url: 'https://www.meta.ai/media*' });
+    return tabs.find(tab => tab.active) || tabs[0] || null;
+}
+
+/**
+ * Count matches for each selector of a role on the live page
+ */
+async function testRole(role, card) {
+    const tab = await findMetaTab();
+    if (!tab) {
+        showStatus('Open https://www.meta.ai/media in a tab to test selectors.', 'error');
+        return;
+    }
+
+    try {
+        const response = await chrome.tabs.sendMessage(tab.id, {
+            type: 'TEST_SELECTORS',
+            selectors: drafts[role]
+        });
+        response.results.forEach((result, index) => {
+            const count = card.querySelector(`.match-count[data-selector-index="${index}"]`);
+            if (!count) return;
+            count.textContent = result.error ? 'invalid' : `${result.count} match${result.count !== 1 ? 'es' : ''}`;
+            count.classList.toggle('found', result.count > 0);
+        });
+        const first = response.results.findIndex(result => result.count > 0);
+        showStatus(first === -1
+            ? `${SELECTOR_ROLE_LABELS[role]}: nothing matched on the page.`
+            : `${SELECTOR_ROLE_LABELS[role]}: selector ${first + 1} is the one that will be used.`);
+    } catch (error) {
+        showStatus('Could not reach the page. Reload the meta.ai tab and try again.', 'error');
+    }
+}
+
+/**
+ * Collect the roles that differ from the defaults; blank rows are dropped
+ * @returns {{overrides: Object<string, string[]>, errors: string[]}}
+ */
+function collectOverrides() {
+    const overrides = {};
+    const errors = [];
+
+    for (const role of Object.keys(DEFAULT_SELECTORS)) {
+        drafts[role] = drafts[role].map(selector => selector.trim()).filter(Boolean);
+        if (drafts[role].length === 0) {
+            drafts[role] = [...DEFAULT_SELECTORS[role]];
+        }
+        drafts[role].filter(selector => !isValidSelector(selector))
+            .forEach(selector => errors.push(`${SELECTOR_ROLE_LABELS[role]}: invalid selector ${selector}`));
+        if (isCustomized(role)) {
+            overrides[role] = drafts[role];
+        }
+    }
+
+    return { overrides, errors };
+}
+
+saveBtn.addEventListener('click', async () => {
+    const { overrides, errors } = collectOverrides();
+    renderRoles();
+    if (errors.length > 0) {
+        showStatus(`Not saved:\n${errors.join('\n')}`, 'error');
+        return;
+    }
+    await chrome.storage.sync.set({ selectorOverrides: overrides });
+    showStatus(`Saved. ${Object.keys(overrides).length} role(s) customized.`);
+});
+
+resetAllBtn.addEventListener('click', async () => {
+    if (!confirm('Reset every role to the built-in selectors?')) return;
+    drafts = mergeSelectors();
+    await chrome.storage.sync.remove('selectorOverrides');
+    renderRoles();
+    showStatus('All selectors reset to defaults.');
+});
+
+/**
+ * Export the customized roles as a selector pack
+ */
+exportBtn.addEventListener('click', () => {
+    const { overrides, errors } = collectOverrides();
+    if (errors.length > 0) {
+        showStatus(`Fix invalid selectors before exporting:\n${errors.join('\n')}`, 'error');
+        return;
+    }
+
+    const pack = {
+        format: SELECTOR_PACK_FORMAT,
+        version: SELECTOR_PACK_VERSION,
+        exportedAt: new Date().toISOString(),
+        selectors: overrides
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `meta-ai-selectors-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    showStatus(`Exported ${Object.keys(overrides).length} customized role(s).`);
+});
+
+importBtn.addEventListener('click', () => importInput.click());
+
+/**
+ * Import a selector pack: its roles replace the current lists and are saved
+ */
+importInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    importInput.value = '';
+    if (!file) return;
+
+    try {
+        const { selectors, errors } = validateSelectorPack(JSON.parse(await file.text()));
+        const roles = Object.keys(selectors);
+        if (roles.length === 0) {
+            throw new Error(errors[0] || 'The pack contains no selectors');
+        }
+
+        roles.forEach(role => { drafts[role] = selectors[role]; });
+        const { overrides } = collectOverrides();
+        await chrome.storage.sync.set({ selectorOverrides: overrides });
+        renderRoles();
+        showStatus(`Imported ${roles.length} role(s) from ${file.name}.` +
+            (errors.length > 0 ? `\n${errors.join('\n')}` : ''), errors.length > 0 ? 'error' : 'info');
+    } catch (error) {
+        showStatus(`Import failed: ${error.message}`, 'error');
+    }
+});
+
+// ============================================================================
+// UPLOAD STRATEGIES
+// ============================================================================
+
+/**
+ * List the upload strategies with their recorded stats and pin/enable controls
+ * Stats are written by content.js (chrome.storage.local "uploadStats");
+ * pin/disable live in chrome.storage.sync "uploadStrategySettings"
+ */
+async function renderStrategies() {
+    const { uploadStats = {} } = await chrome.storage.local.get(['uploadStats']);
+    const { uploadStrategySettings = {} } = await chrome.storage.sync.get(['uploadStrategySettings']);
+    const disabled = uploadStrategySettings.disabled || [];
+
+    const rows = Object.entries(UPLOAD_STRATEGY_LABELS).map(([id, label]) => {
+        const stats = uploadStats.strategies?.[id];
+        const isDisabled = disabled.includes(id);
+        const isPinned = uploadStrategySettings.pinned === id;
+
+        const row = document.createElement('div');
+        row.className = `strategy-row${isDisabled ? ' disabled' : ''}`;
+
+        const name = document.createElement('span');
+        name.className = 'strategy-name';
+        name.textContent = label + (uploadStats.lastSuccess === id ? ' · last success' : '');
+
+        const statsText = document.createElement('span');
+        statsText.className = 'strategy-stats';
+        statsText.textContent = stats && stats.attempts > 0
+            ? `${stats.successes}/${stats.attempts} ok (${Math.round(stats.successes / stats.attempts * 100)}%)` +
+                (stats.successes > 0 ? ` · avg ${(stats.totalMs / stats.successes / 1000).toFixed(1)}s` : '')
+            : 'not tried yet';
+
+        const pinBtn = createActionButton(isPinned ? 'Pinned' : 'Pin', () => updateStrategySettings(settings => {
+            settings.pinned = isPinned ? null : id;
+        }));
+        pinBtn.classList.toggle('pinned', isPinned);
+        pinBtn.disabled = isDisabled;
+
+        const toggleBtn = createActionButton(isDisabled ? 'Enable' : 'Disable', () => updateStrategySettings(settings => {
+            settings.disabled = isDisabled
+                ? settings.disabled.filter(other => other !== id)
+                : [...settings.disabled, id];
+            if (!isDisabled && settings.pinned === id) settings.pinned = null;
+        }));
+
+        row.append(name, statsText, pinBtn, toggleBtn);
+        return row;
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'role-actions';
+    actions.appendChild(createActionButton('Reset stats', async () => {
+        await chrome.storage.local.remove('uploadStats');
+        showStatus('Upload stats cleared.');
+    }));
+
+    strategyList.replaceChildren(...rows, actions);
+}
+
+/**
+ * Apply a change to the pin/disable settings and save it
+ */
+async function updateStrategySettings(change) {
+    const { uploadStrategySettings = {} } = await chrome.storage.sync.get(['uploadStrategySettings']);
+    const settings = { pinned: uploadStrategySettings.pinned || null, disabled: [...(uploadStrategySettings.disabled || [])] };
+    change(settings);
+
+    if (settings.disabled.length === Object.keys(UPLOAD_STRATEGY_LABELS).length) {
+        showStatus('At least one upload method has to stay enabled.', 'error');
+        return;
+    }
+    await chrome.storage.sync.set({ uploadStrategySettings: settings });
+}
+
+// ============================================================================
+// RATE LIMITS
+// ============================================================================
+
+/**
+ * Show the saved rate limit settings (defaults from selectors.js)
+ */
+async function loadRateLimitSettings() {
+    const { rateLimitSettings } = await chrome.storage.sync.get(['rateLimitSettings']);
+    const settings = normalizeRateLimitSettings(rateLimitSettings);
+    cooldownInput.value = settings.cooldownMinutes;
+    rateLimitPatternsInput.value = settings.patterns.join('\n');
+}
+
+/**
+ * Persist the rate limit settings; blank lines are dropped and values clamped
+ */
+async function saveRateLimitSettings() {
+    const settings = normalizeRateLimitSettings({
+        cooldownMinutes: cooldownInput.value,
+        patterns: rateLimitPatternsInput.value.split('\n')
+    });
+    cooldownInput.value = settings.cooldownMinutes;
+    rateLimitPatternsInput.value = settings.patterns.join('\n');
+    await chrome.storage.sync.set({ rateLimitSettings: settings });
+    showStatus(`Rate limits saved: ${settings.patterns.length} pattern(s), ${settings.cooldownMinutes} min cool-down.`);
+}
+
+cooldownInput.addEventListener('change', saveRateLimitSettings);
+rateLimitPatternsInput.addEventListener('change', saveRateLimitSettings);
+
+resetRateLimitBtn.addEventListener('click', async () => {
+    await chrome.storage.sync.remove('rateLimitSettings');
+    await loadRateLimitSettings();
+    showStatus('Rate limit settings reset to defaults.');
+});
+
+// Stats change while a run is going; settings may change in another window
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if ((areaName === 'local' && changes.uploadStats) || (areaName === 'sync' && changes.uploadStrategySettings)) {
+        renderStrategies();
+    }
+});
+
+// Initialize
+init();
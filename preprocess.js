@@ -0,0 +1,140 @@
+/**
+ * preprocess.js - Image preprocessing before upload
+ *
+ * Loaded by sidebar.html before sidebar.js. When enabled, every image of a
+ * run is redrawn on an OffscreenCanvas before it is stored:
+ *
+ * - Resize:  the longer side is capped at maxDimension (never upscaled)
+ * - Aspect:  center-crop or pad to 9:16, 1:1 or 16:9 ("original" keeps it)
+ * - Format:  re-encoded as JPEG, PNG or WebP at the chosen quality. The file
+ *            keeps the name the user picked (manifest matching, {filename}
+ *            and {imageName} use it); only its type changes.
+ *
+ * Re-encoding drops all metadata, so EXIF (GPS, camera, etc.) never leaves
+ * the machine. EXIF orientation is applied to the pixels first, so rotated
+ * phone photos stay upright.
+ */
+
+const PREPROCESS_DEFAULTS = {
+    enabled: false,
+    maxDimension: 2048,
+    aspect: 'original',      // original | 9:16 | 1:1 | 16:9
+    fit: 'crop',             // crop | pad
+    format: 'image/jpeg',    // image/jpeg | image/png | image/webp
+    quality: 0.9             // 0-1, ignored for PNG
+};
+
+const ASPECT_RATIOS = { '9:16': 9 / 16, '1:1': 1, '16:9': 16 / 9 };
+const PREPROCESS_FORMATS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+const PREPROCESS_PAD_COLOR = '#000000';
+
+/**
+ * Fill in defaults and clamp user input
+ */
+function normalizePreprocessSettings(settings = {}) {
+    const merged = { ...PREPROCESS_DEFAULTS, ...settings };
+    return {
+        enabled: !!merged.enabled,
+        maxDimension: Math.min(Math.max(parseInt(merged.maxDimension, 10) || PREPROCESS_DEFAULTS.maxDimension, 256), 8192),
+        aspect: merged.aspect in ASPECT_RATIOS ? merged.aspect : 'original',
+        fit: merged.fit === 'pad' ? 'pad' : 'crop',
+        format: merged.format in PREPROCESS_FORMATS ? merged.format : PREPROCESS_DEFAULTS.format,
+        quality: Math.min(Math.max(Number(merged.quality) || PREPROCESS_DEFAULTS.quality, 0.1), 1)
+    };
+}
+
+/**
+ * Work out the canvas size and where the source is drawn on it
+ * @returns {{width: number, height: number, source: {x, y, w, h}, target: {x, y, w, h}}}
+ */
+function computeTargetGeometry(srcWidth, srcHeight, settings) {
+    const ratio = ASPECT_RATIOS[settings.aspect];
+    let source = { x: 0, y: 0, w: srcWidth, h: srcHeight };
+    let frameWidth = srcWidth;
+    let frameHeight = srcHeight;
+
+    if (ratio && settings.fit === 'crop') {
+        // Largest centered region with the target ratio
+        if (srcWidth / srcHeight > ratio) {
+            const w = Math.round(srcHeight * ratio);
+            source = { x: Math.round((srcWidth - w) / 2), y: 0, w, h: srcHeight };
+        } else {
+            const h = Math.round(srcWidth / ratio);
+            source = { x: 0, y: Math.round((srcHeight - h) / 2), w: srcWidth, h };
+        }
+        frameWidth = source.w;
+        frameHeight = source.h;
+    } else if (ratio) {
+        // Smallest frame with the target ratio that contains the whole image
+        if (srcWidth / srcHeight > ratio) {
+            frameHeight = Math.round(srcWidth / ratio);
+        } else {
+            frameWidth = Math.round(srcHeight * ratio);
+        }
+    }
+
+    const scale = Math.min(1, settings.maxDimension / Math.max(frameWidth, frameHeight));
+    const width = Math.max(1, Math.round(frameWidth * scale));
+    const height = Math.max(1, Math.round(frameHeight * scale));
+    const drawWidth = Math.round(source.w * scale);
+    const drawHeight = Math.round(source.h * scale);
+
+    return {
+        width,
+        height,
+        source,
+        target: {
+            x: Math.round((width - drawWidth) / 2),
+            y: Math.round((height - drawHeight) / 2),
+            w: drawWidth,
+            h: drawHeight
+        }
+    };
+}
+
+/**
+ * Resize, crop/pad and re-encode one image
+ * @param {File} file
+ * @param {object} settings - From normalizePreprocessSettings
+ * @returns {Promise<{file: File, before: {width, height, size}, after: {width, height, size}}>}
+ */
+async function preprocessImage(file, settings) {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+
+    try {
+        const geometry = computeTargetGeometry(bitmap.width, bitmap.height, settings);
+        const canvas = new OffscreenCanvas(geometry.width, geometry.height);
+        const ctx = canvas.getContext('2d');
+
+        // Padding (and transparency flattened to JPEG) uses a solid background
+        if (settings.fit === 'pad' || settings.format === 'image/jpeg') {
+            ctx.fillStyle = PREPROCESS_PAD_COLOR;
+            ctx.fillRect(0, 0, geometry.width, geometry.height);
+        }
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(
+            bitmap,
+            geometry.source.x, geometry.source.y, geometry.source.w, geometry.source.h,
+            geometry.target.x, geometry.target.y, geometry.target.w, geometry.target.h
+        );
+
+        const blob = await canvas.convertToBlob({ type: settings.format, quality: settings.quality });
+
+        return {
+            file: new File([blob], file.name, { type: settings.format, lastModified: file.lastModified }),
+            before: { width: bitmap.width, height: bitmap.height, size: file.size },
+            after: { width: geometry.width, height: geometry.height, size: blob.size }
+        };
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Human-readable byte count
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
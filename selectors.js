@@ -0,0 +1,255 @@
+/**
+ * selectors.js - DOM selector registry
+ *
+ * Default selectors for every UI role content.js interacts with. Loaded by
+ * the content script (before content.js) and by the options page.
+ *
+ * Users can override any role's list from the options page. Overrides live
+ * in chrome.storage.sync under "selectorOverrides" ({ role: [selectors] })
+ * and replace the default list of that role when merged at runtime, so a
+ * fixed selector pack can be shared with the whole team as a JSON file.
+ *
+ * Every role is an ordered list; lists are tried first to last.
+ *
+ * Rate limit detection pairs the rateLimitSelectors role with the text
+ * patterns in RATE_LIMIT_DEFAULTS (overridden by "rateLimitSettings").
+ * "Try again later" banners are recognized only together with a limit word
+ * (RATE_LIMIT_DEFAULTS.retryPhrases/limitWords): generic error toasts say
+ * "try again later" too, and a false rate limit halts the whole run.
+ */
+
+const DEFAULT_SELECTORS = {
+    // Prompt input (tried in order)
+    promptInputSelectors: [
+        'div[contenteditable="true"][data-lexical-editor="true"]',
+        'div[aria-label="Describe your image..."][contenteditable="true"]',
+        'div[contenteditable="true"][role="textbox"]',
+        '[contenteditable="true"][aria-placeholder]',
+        'div[contenteditable="true"].notranslate',
+        'textarea[placeholder*="Describe"]',
+        'textarea[placeholder*="prompt"]',
+        '[role="textbox"][contenteditable="true"]',
+        'div[contenteditable="true"]'
+    ],
+    // Add Media button
+    addMediaBtnSelectors: [
+        'div[aria-label="Add media"][role="button"]',
+        'div[aria-label="Add Media"][role="button"]',
+        'button[aria-label="Add media"]',
+        'button[aria-label="Add Media"]',
+        '[aria-label*="media"][role="button"]',
+        '[aria-label*="Media"][role="button"]',
+        'input[type="file"][accept*="image"]'
+    ],
+    // Create button
+    createBtnSelectors: [
+        'div[aria-label="Create"][role="button"]',
+        'button[aria-label="Create"]',
+        'div[aria-label="Generate"][role="button"]',
+        'button[aria-label="Generate"]',
+        '[aria-label="Submit"][role="button"]'
+    ],
+    // Send/Animate button (primary selector based on dev tools)
+    sendBtnSelectors: [
+        'div[role="button"][aria-label="Send"]',
+        'div[aria-label="Send"][role="button"]',
+        '.x1ed109x.x1n2onr6.xh8yej3 div[role="button"][aria-label="Send"]',
+        'button[aria-label="Send"]',
+        '[aria-label="Send message"][role="button"]'
+    ],
+    // Mode toggle (Image/Video); its aria-label is the current mode
+    modeToggleSelectors: [
+        'div[role="button"][aria-label="Image"]',
+        'div[role="button"][aria-label="Video"]',
+        'div#_r_7d_[role="button"]'
+    ],
+    // Entries of the dropdown the mode toggle opens
+    modeMenuItemSelectors: [
+        '[role="menuitem"]',
+        '[role="option"]',
+        '[role="menu"] div[role="button"]'
+    ],
+    // Container around the prompt input and its attachment tray; attachments
+    // are only looked for inside it (falls back to the nearest ancestor that
+    // also holds the Send or Add media button)
+    composerSelectors: [
+        'form',
+        '[role="form"]',
+        '[data-testid*="composer" i]'
+    ],
+    // Preview of an attached image inside the composer (one per attachment)
+    previewSelectors: [
+        'img[src*="blob:"]',
+        'img[src*="data:image"]',
+        '[aria-label*="preview" i] img',
+        '[data-testid*="image"] img',
+        '[aria-label*="image" i][role="img"]',
+        '.image-preview',
+        'div[style*="background-image"]'
+    ],
+    // Button that removes an attachment from the composer
+    attachmentRemoveSelectors: [
+        '[aria-label*="Remove" i][role="button"]',
+        'button[aria-label*="Remove" i]',
+        '[aria-label*="Delete" i][role="button"]'
+    ],
+    // Images produced in Image mode (tiny icons and avatars are filtered out by size)
+    outputImageSelectors: [
+        'img[src*="fbcdn.net"]',
+        'img[src*="scontent"]',
+        'img[alt*="generated" i]'
+    ],
+    // Download button detection
+    downloadBtn: [
+        'a[download]',
+        'div[aria-label="Download"][role="button"]',
+        'button[aria-label="Download"]',
+        '[aria-label*="download" i][role="button"]'
+    ],
+    // Loading indicator
+    loadingSpinner: [
+        '[role="progressbar"]',
+        '.loading',
+        '[aria-busy="true"]',
+        '[data-loading="true"]'
+    ],
+    // Toasts/banners that may report a failed generation
+    generationError: [
+        '[role="alert"]',
+        '[role="status"]',
+        '[aria-live="assertive"]',
+        '[aria-live="polite"]'
+    ],
+    // Toasts/banners/dialogs that may report a rate limit or usage cap
+    rateLimitSelectors: [
+        '[role="alert"]',
+        '[role="status"]',
+        '[role="dialog"]',
+        '[aria-live="assertive"]',
+        '[aria-live="polite"]'
+    ]
+};
+
+// Human-readable names for the options page
+const SELECTOR_ROLE_LABELS = {
+    promptInputSelectors: 'Prompt input',
+    addMediaBtnSelectors: 'Add media button',
+    createBtnSelectors: 'Create button',
+    sendBtnSelectors: 'Send / Animate button',
+    modeToggleSelectors: 'Mode toggle (Image/Video)',
+    modeMenuItemSelectors: 'Mode dropdown items',
+    composerSelectors: 'Composer container',
+    previewSelectors: 'Attached image preview',
+    attachmentRemoveSelectors: 'Remove attachment button',
+    outputImageSelectors: 'Generated images',
+    downloadBtn: 'Download button',
+    loadingSpinner: 'Loading indicator',
+    generationError: 'Error toasts / banners',
+    rateLimitSelectors: 'Rate limit messages'
+};
+
+// Rate limit detection: a visible rateLimitSelectors element whose text
+// contains one of the patterns (plain text, case-insensitive) pauses the run
+// for cooldownMinutes. Overrides live in chrome.storage.sync "rateLimitSettings".
+const RATE_LIMIT_DEFAULTS = {
+    cooldownMinutes: 15,
+    patterns: [
+        'rate limit',
+        'too many requests',
+        'daily limit',
+        'usage limit',
+        'reached your limit',
+        'limit reached'
+    ],
+    // Rate limits only next to one of limitWords (not user-editable)
+    retryPhrases: ['try again later', 'try again in'],
+    limitWords: ['limit', 'quota', 'too many', 'usage', 'used all', 'for today']
+};
+
+const SELECTOR_PACK_FORMAT = 'meta-ai-automator/selectors';
+const SELECTOR_PACK_VERSION = 1;
+
+/**
+ * Check that a string parses as a CSS selector
+ */
+function isValidSelector(selector) {
+    if (typeof selector !== 'string' || selector.trim() === '') return false;
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Merge user overrides over the defaults
+ * Unknown roles and empty lists are ignored, so a bad pack can never leave
+ * a role without selectors.
+ * @returns {Object<string, string[]>}
+ */
+function mergeSelectors(overrides = {}) {
+    const merged = {};
+    for (const [role, defaults] of Object.entries(DEFAULT_SELECTORS)) {
+        const override = overrides[role];
+        merged[role] = Array.isArray(override) && override.length > 0 ? [...override] : [...defaults];
+    }
+    return merged;
+}
+
+/**
+ * Fill in rate limit defaults and clamp user input
+ * An empty pattern list falls back to the defaults, so detection can't be
+ * switched off by accident.
+ * @returns {{cooldownMinutes: number, patterns: string[]}}
+ */
+function normalizeRateLimitSettings(settings = {}) {
+    const patterns = Array.isArray(settings.patterns)
+        ? settings.patterns.map(pattern => String(pattern).trim()).filter(Boolean)
+        : [];
+    return {
+        cooldownMinutes: Math.min(Math.max(parseInt(settings.cooldownMinutes, 10) || RATE_LIMIT_DEFAULTS.cooldownMinutes, 1), 1440),
+        patterns: patterns.length > 0 ? patterns : [...RATE_LIMIT_DEFAULTS.patterns]
+    };
+}
+
+/**
+ * Join a role's list into one selector for querySelectorAll
+ */
+function joinSelectors(selectors) {
+    return selectors.join(', ');
+}
+
+/**
+ * Validate an imported selector pack
+ * Accepts { format, version, selectors: { role: [...] } } or a bare { role: [...] } map
+ * @returns {{selectors: Object<string, string[]>, errors: string[]}}
+ */
+function validateSelectorPack(data) {
+    const source = data && data.format === SELECTOR_PACK_FORMAT ? data.selectors : data;
+    const selectors = {};
+    const errors = [];
+
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        return { selectors, errors: ['Not a selector pack'] };
+    }
+
+    for (const [role, list] of Object.entries(source)) {
+        if (!(role in DEFAULT_SELECTORS)) {
+            errors.push(`Unknown role "${role}" ignored`);
+            continue;
+        }
+        if (!Array.isArray(list)) {
+            errors.push(`${role}: expected a list of selectors`);
+            continue;
+        }
+        const valid = list.filter(isValidSelector);
+        list.filter(selector => !isValidSelector(selector))
+            .forEach(selector => errors.push(`${role}: invalid selector ${JSON.stringify(selector)}`));
+        if (valid.length > 0) {
+            selectors[role] = valid;
+        }
+    }
+
+    return { selectors, errors };
+}
@@ -4,11 +4,41 @@
  * Responsibilities:
  * - File selection and validation
  * - Prompt parsing
- * - Queue management via chrome.storage.local
- * - Communication with content script
- * - Progress display
+ * - Batch manifest import (manifest.js) to pair images and prompts by filename
+ * - Prompt template expansion (templates.js) with a reproducible seed and preview
+ * - Queue management via chrome.storage.local, images persisted in IndexedDB (db.js)
+ * - Run controls (start, pause/resume, stop, queue actions) sent to background.js,
+ *   which dispatches the items to the content script
+ * - Progress display and per-item queue view (skip, retry, reorder)
+ * - Optional image preprocessing (preprocess.js) with a before/after size preview
+ * - Download, retry and parallel tab settings (stored in chrome.storage.sync so Start's clear() keeps them)
+ * - Per-tab status of runs that use several meta.ai tabs
+ * - A run stays bound to the tab it was started in: diagnostics go there and
+ *   "Focus running tab" brings it back, whichever tab is active
+ * - Activity log: structured entries of all parts (log.js) with level/item filters and JSONL export
+ * - Diagnostics tab: selector health of the Meta AI page, element highlighting, report export
+ * - History tab: past runs from IndexedDB (db.js) with search, delete and JSON/CSV export
+ * - Scheduled and spread-out runs (background.js starts them from chrome.alarms)
  */
 
+// Keep in sync with DOWNLOAD_DEFAULTS in background.js
+const DEFAULT_FILENAME_TEMPLATE = 'meta-ai/{run}/{index}_{imageName}_{promptSlug}.mp4';
+
+// Keep in sync with RETRY_DEFAULTS in background.js
+const DEFAULT_RETRY_SETTINGS = { maxRetries: 2, baseDelay: 5000 };
+
+// Keep in sync with META_AI_ORIGIN in background.js
+const META_AI_ORIGIN = 'https://www.meta.ai';
+const META_AI_HOSTS = ['www.meta.ai', 'meta.ai'];
+
+// Keep in sync with PARALLEL_DEFAULTS and MAX_PARALLEL_TABS in background.js
+const DEFAULT_PARALLEL_SETTINGS = { maxTabs: 1 };
+const MAX_PARALLEL_TABS = 5;
+
+// chrome.storage.local keys that belong to the browser profile, not a run;
+// Start's clear() keeps them. Keep in sync with background.js
+const PERSISTENT_LOCAL_KEYS = ['uploadStats', 'scheduledRuns', 'logs'];
+
 // DOM Elements
 const imageInput = document.getElementById('imageInput');
 const selectImagesBtn = document.getElementById('selectImagesBtn');
@@ -16,16 +46,102 @@ const promptsInput = document.getElementById('promptsInput');
 const imageCount = document.getElementById('imageCount');
 const promptCount = document.getElementById('promptCount');
 const startBtn = document.getElementById('startBtn');
+const startBtnLabel = document.getElementById('startBtnLabel');
+const startModeSelect = document.getElementById('startModeSelect');
+const startAtInput = document.getElementById('startAtInput');
+const spreadEnabledInput = document.getElementById('spreadEnabledInput');
+const spreadWindowInput = document.getElementById('spreadWindowInput');
+const spreadGapInput = document.getElementById('spreadGapInput');
+const scheduledList = document.getElementById('scheduledList');
 const stopBtn = document.getElementById('stopBtn');
+const pauseBtn = document.getElementById('pauseBtn');
+const pauseBtnLabel = document.getElementById('pauseBtnLabel');
 const progressBar = document.getElementById('progressBar');
 const progressText = document.getElementById('progressText');
 const logContainer = document.getElementById('logContainer');
+const logLevelFilter = document.getElementById('logLevelFilter');
+const logItemFilter = document.getElementById('logItemFilter');
+const exportLogBtn = document.getElementById('exportLogBtn');
+const manifestInput = document.getElementById('manifestInput');
+const importManifestBtn = document.getElementById('importManifestBtn');
+const clearManifestBtn = document.getElementById('clearManifestBtn');
+const manifestReport = document.getElementById('manifestReport');
+const snippetsInput = document.getElementById('snippetsInput');
+const seedInput = document.getElementById('seedInput');
+const newSeedBtn = document.getElementById('newSeedBtn');
+const promptPreview = document.getElementById('promptPreview');
+const pairingModeSelect = document.getElementById('pairingModeSelect');
+const generationModeSelect = document.getElementById('generationModeSelect');
+const itemCount = document.getElementById('itemCount');
+const queueTable = document.getElementById('queueTable');
+const rerunFailedBtn = document.getElementById('rerunFailedBtn');
+const maxRetriesInput = document.getElementById('maxRetriesInput');
+const retryDelayInput = document.getElementById('retryDelayInput');
+const maxTabsInput = document.getElementById('maxTabsInput');
+const tabStatusList = document.getElementById('tabStatusList');
+const runTabInfo = document.getElementById('runTabInfo');
+const runTabLabel = document.getElementById('runTabLabel');
+const focusRunTabBtn = document.getElementById('focusRunTabBtn');
+const historySearchInput = document.getElementById('historySearchInput');
+const exportHistoryJsonBtn = document.getElementById('exportHistoryJsonBtn');
+const exportHistoryCsvBtn = document.getElementById('exportHistoryCsvBtn');
+const historyTab = document.getElementById('historyTab');
+const historyList = document.getElementById('historyList');
+const preprocessEnabledInput = document.getElementById('preprocessEnabledInput');
+const maxDimensionInput = document.getElementById('maxDimensionInput');
+const aspectSelect = document.getElementById('aspectSelect');
+const fitSelect = document.getElementById('fitSelect');
+const formatSelect = document.getElementById('formatSelect');
+const qualityInput = document.getElementById('qualityInput');
+const preprocessPreview = document.getElementById('preprocessPreview');
+const autoDownloadInput = document.getElementById('autoDownloadInput');
+const filenameTemplateInput = document.getElementById('filenameTemplateInput');
+const runDiagnosticsBtn = document.getElementById('runDiagnosticsBtn');
+const exportReportBtn = document.getElementById('exportReportBtn');
+const diagnosticsSummary = document.getElementById('diagnosticsSummary');
+const diagnosticsList = document.getElementById('diagnosticsList');
 const wrongSiteOverlay = document.getElementById('wrongSiteOverlay');
 const mainContainer = document.getElementById('mainContainer');
 
 // State
 let selectedFiles = [];
-let isRunning = false;
+let queueFiles = [];     // Files of the current run, in queue order
+let manifest = null;     // { fileName, entries, errors } from parseManifest
+let isRunning = false;    // true while running or pausing
+let runState = 'idle';    // idle | running | pausing | paused | rate_limited | stopped | complete
+let rateLimitResumeAt = null;  // When a rate-limited run resumes by itself (ms)
+let currentRunId = null;  // runId of the stored run, added to log entries
+let logEntries = [];      // Entries of all sources shown in the activity log (log.js)
+let lastProgress = { done: 0, total: 0 };
+const runningSteps = new Map();  // Item index -> latest PROGRESS_UPDATE status
+const tabSteps = new Map();      // Tab id -> latest PROGRESS_UPDATE status of its worker
+const thumbnailUrls = new Map();  // "<runId>:<index>" -> object URL
+let diagnosticsReport = null;    // Latest RUN_DIAGNOSTICS report
+const preprocessCache = new Map();  // File -> { key, result } from preprocessImage
+let preprocessPreviewToken = 0;     // Cancels an outdated preview pass
+
+/**
+ * Parse a URL, returning null unless it is an https page on meta.ai
+ * Parsed, so a URL that merely contains "meta.ai" (another site's path or query) doesn't match.
+ * @returns {URL|null}
+ */
+function parseMetaAiUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' && META_AI_HOSTS.includes(parsed.hostname) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether a URL is the meta.ai/media page the automation runs on
+ * Keep in sync with isMetaAiMediaUrl in background.js
+ */
+function isMetaAiMediaUrl(url) {
+    const parsed = parseMetaAiUrl(url);
+    return parsed?.origin === META_AI_ORIGIN && /^\/media(\/|$)/.test(parsed.pathname);
+}
 
 /**
  * Check if current tab is on Meta AI website
@@ -35,7 +151,7 @@ async function checkIfOnMetaSite() {
     try {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (tab && tab.url) {
-            return tab.url.includes('meta.ai');
+            return parseMetaAiUrl(tab.url) !== null;
         }
         return false;
     } catch (error) {
@@ -46,10 +162,11 @@ async function checkIfOnMetaSite() {
 
 /**
  * Show or hide the wrong site warning overlay
+ * A started run is bound to its own tab, so the sidebar stays usable from any tab until it ends.
  * @param {boolean} isOnMetaSite - Whether user is on Meta AI
  */
 function updateSiteWarning(isOnMetaSite) {
-    if (isOnMetaSite) {
+    if (isOnMetaSite || isRunning || isHaltedState(runState)) {
         wrongSiteOverlay.classList.add('hidden');
         mainContainer.classList.remove('blurred');
     } else {
@@ -70,6 +187,7 @@ async function init() {
     chrome.tabs.onActivated.addListener(async () => {
         const onMeta = await checkIfOnMetaSite();
         updateSiteWarning(onMeta);
+        renderRunTarget();
     });
 
     chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
@@ -77,27 +195,69 @@ async function init() {
             const onMeta = await checkIfOnMetaSite();
             updateSiteWarning(onMeta);
         }
+        if (changeInfo.url || changeInfo.title) {
+            renderRunTarget();
+        }
     });
 
+    await loadDownloadSettings();
+    await loadRetrySettings();
+    await loadParallelSettings();
+    await loadPreprocessSettings();
+    await loadTemplateSettings();
+
+    // Stored log first, so the notes below follow it
+    await loadLog();
+
     // Load existing state from storage
-    const state = await chrome.storage.local.get(['queue', 'currentIndex', 'isRunning', 'prompts']);
+    const state = await chrome.storage.local.get(['isRunning', 'runState', 'rateLimit', 'runId']);
+    currentRunId = state.runId || null;
 
-    if (state.isRunning) {
-        isRunning = true;
-        updateUIState();
-        const total = state.prompts?.length || 0;
-        const current = state.currentIndex || 0;
-        updateProgress(current, total);
+    if (state.runState === 'rate_limited') {
+        rateLimitResumeAt = state.rateLimit?.resumeAt || null;
+        setRunState('rate_limited');
+        addLogEntry('Run is rate limited - it resumes by itself, or press Resume', 'info', { save: false });
+    } else if (state.runState === 'paused') {
+        setRunState('paused');
+        addLogEntry('Run is paused - press Resume to continue', 'info', { save: false });
+    } else if (state.isRunning) {
+        setRunState(state.runState === 'pausing' ? 'pausing' : 'running');
+        addLogEntry('Run in progress - images are served from storage', 'info', { save: false });
+    } else if (state.runState) {
+        setRunState(state.runState);
     }
 
+    await renderQueue();
+    await renderScheduledRuns();
+
+    // Queue view follows the run state background.js keeps in storage
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && (changes.itemResults || changes.queueOrder || changes.runId)) {
+            renderQueue();
+        }
+        if (areaName === 'local' && changes.runId) {
+            currentRunId = changes.runId.newValue || null;
+        }
+        if (areaName === 'local' && (changes.activeItems || changes.runTabIds || changes.itemResults)) {
+            renderTabStatus();
+        }
+        if (areaName === 'local' && changes.runTabIds) {
+            renderRunTarget();
+        }
+        if (areaName === 'local' && changes.runState && !historyTab.classList.contains('hidden')) {
+            renderHistory();
+        }
+        if (areaName === 'local' && changes.scheduledRuns) {
+            renderScheduledRuns();
+        }
+    });
+    setInterval(() => {
+        updateElapsedTimes();
+        if (runState === 'rate_limited') updateProgress(lastProgress.done, lastProgress.total);
+    }, 1000);
+
     // Listen for messages from content script
     chrome.runtime.onMessage.addListener(handleMessage);
-
-    // Load log from storage
-    const logState = await chrome.storage.local.get(['logs']);
-    if (logState.logs) {
-        logState.logs.forEach(entry => addLogEntry(entry.message, entry.type, false));
-    }
 }
 
 /**
@@ -106,40 +266,128 @@ async function init() {
 function handleMessage(message, sender, sendResponse) {
     switch (message.type) {
         case 'PROGRESS_UPDATE':
-            updateProgress(message.current, message.total);
-            addLogEntry(`Processing ${message.current}/${message.total}: ${message.status}`);
+            if (message.current > 0) {
+                runningSteps.set(message.current - 1, message.status);
+                updateRunningStep(message.current - 1);
+            }
+            if (sender.tab) {
+                tabSteps.set(sender.tab.id, message.status);
+                renderTabStatus();
+            }
+            if (message.current > 0) {
+                addLogEntry(`Processing item ${message.current}/${message.total}: ${message.status}`, 'info', { index: message.current - 1 });
+            } else {
+                addLogEntry(message.status);
+            }
             break;
 
         case 'ITEM_COMPLETE':
-            addLogEntry(`✓ Completed item ${message.index + 1}`, 'success');
+            addLogEntry(message.mediaType === 'image'
+                ? `✓ Completed item ${message.index + 1} - ${message.imageUrls.length} image(s) ready`
+                : `✓ Completed item ${message.index + 1} - video ready`, 'success', { index: message.index });
+            break;
+
+        case 'SELECTOR_LEARNED':
+            addLogEntry(message.selector
+                ? `🔎 ${message.label}: configured selectors failed, using ${message.selector} (confidence ${Math.round(message.score * 100)}%: ${message.reasons.join(', ')})`
+                : `🔎 ${message.label}: configured selectors failed, matched an element heuristically (confidence ${Math.round(message.score * 100)}%)`);
             break;
 
-        case 'ITEM_ERROR':
-            addLogEntry(`✗ Error on item ${message.index + 1}: ${message.error}`, 'error');
+        case 'LOG_ENTRY':
+            // Streamed by the pages and background.js, which also store it
+            if (isLogEntry(message.entry)) showLogEntry(message.entry);
             break;
 
+        case 'ITEM_REQUEUED':
+            addLogEntry(message.stalled
+                ? `↺ Item ${message.index + 1}: its tab stopped making progress - reloading it and re-queuing the item`
+                : `↺ Item ${message.index + 1}: its tab was closed or reloaded - re-queuing the item`, 'warn', { index: message.index });
+            break;
+
+        case 'ITEM_RETRY':
+            addLogEntry(`↻ Item ${message.index + 1}: ${message.error} - attempt ${message.attempt}/${message.maxAttempts} in ${Math.round(message.delay / 1000)}s`, 'warn', { index: message.index });
+            break;
+
+        case 'ITEM_ERROR': {
+            const attempts = message.attempts > 1 ? ` after ${message.attempts} attempts` : '';
+            if (message.reason === 'timeout') {
+                addLogEntry(`⏱ Item ${message.index + 1} timed out${attempts}: ${message.error}`, 'error', { index: message.index });
+            } else {
+                addLogEntry(`✗ Error on item ${message.index + 1}${attempts}: ${message.error}`, 'error', { index: message.index });
+            }
+            break;
+        }
+
         case 'AUTOMATION_COMPLETE':
-            isRunning = false;
-            updateUIState();
+            setRunState('complete');
             addLogEntry('✓ Automation complete!', 'success');
-            progressText.textContent = 'Complete';
+            logRunSummary();
+            renderQueue();
+            break;
+
+        case 'AUTOMATION_PAUSED':
+            setRunState('paused');
+            addLogEntry('⏸ Automation paused - Resume continues at the same item');
+            renderQueue();
+            break;
+
+        case 'AUTOMATION_RATE_LIMITED':
+            rateLimitResumeAt = message.resumeAt;
+            setRunState('rate_limited');
+            addLogEntry(`⏳ Rate limited: "${message.message}" - resuming at ${new Date(message.resumeAt).toLocaleTimeString()}`, 'error');
+            renderQueue();
+            break;
+
+        case 'RATE_LIMIT_RESUMED':
+            setRunState('running');
+            addLogEntry('Cool-down over - resuming automation...');
+            break;
+
+        case 'RATE_LIMIT_RESUME_FAILED':
+            setRunState('paused');
+            addLogEntry(`Cool-down over but the run could not resume (${message.error}) - press Resume`, 'error');
+            break;
+
+        case 'SCHEDULED_RUN_STARTED':
+            // The images of a scheduled run are all in IndexedDB; never serve the selected files
+            queueFiles = [];
+            lastProgress = { done: 0, total: message.totalItems };
+            chrome.storage.local.get(['runState']).then(({ runState: state }) => setRunState(state || 'running'));
+            addLogEntry(`🗓 Scheduled run ${message.runId} started (${message.totalItems} items)`);
+            break;
+
+        case 'SCHEDULED_RUN_DELAYED':
+            addLogEntry(`🗓 Scheduled run ${message.runId} postponed to ${new Date(message.startAt).toLocaleTimeString()}: another run is still active`);
             break;
 
         case 'AUTOMATION_STOPPED':
-            isRunning = false;
-            updateUIState();
+            setRunState('stopped');
             addLogEntry('⏹ Automation stopped', 'error');
-            progressText.textContent = 'Stopped';
+            renderQueue();
+            break;
+
+        case 'DOWNLOAD_COMPLETE':
+            addLogEntry(`⬇ Saved item ${message.index + 1}: ${message.filename}`, 'success', { index: message.index });
+            break;
+
+        case 'DOWNLOAD_RETRY':
+            addLogEntry(`Download of item ${message.index + 1} interrupted (${message.error}), retry ${message.attempt}...`, 'warn', { index: message.index });
+            break;
+
+        case 'DOWNLOAD_FAILED':
+            addLogEntry(`✗ Download of item ${message.index + 1} failed: ${message.error}`, 'error', { index: message.index });
             break;
 
         case 'GET_IMAGE_DATA':
-            // LAZY LOADING: Convert single image to base64 on-demand
-            // This prevents memory exhaustion when handling 30+ images
+            // Fallback for images missing from IndexedDB: only answer requests the
+            // background relays (no sender.tab), so the content script's own request
+            // is always served by the background from storage first
+            if (sender.tab) return false;
             (async () => {
                 const index = message.index;
-                if (index >= 0 && index < selectedFiles.length) {
+                if (index >= 0 && queueFiles[index]) {
                     try {
-                        const imageData = await fileToBase64(selectedFiles[index]);
+                        const imageData = await fileToBase64(queueFiles[index]);
                         sendResponse({ success: true, imageData: imageData });
                     } catch (error) {
                         sendResponse({ success: false, error: error.message });
@@ -152,6 +400,256 @@ function handleMessage(message, sender, sendResponse) {
     }
 }
 
+/**
+ * Log how many items produced a video, failed or timed out
+ * Uses the per-item results background.js records in storage
+ */
+async function logRunSummary() {
+    const { itemResults = {}, totalItems = 0, queueMeta = [] } = await chrome.storage.local.get(['itemResults', 'totalItems', 'queueMeta']);
+    const results = Object.values(itemResults);
+    const succeeded = results.filter(r => r.status === 'success').length;
+    const failed = results.filter(r => r.status === 'failed').length;
+    const timedOut = results.filter(r => r.status === 'timeout').length;
+
+    // Name the output only when every item makes the same kind
+    const modes = new Set(queueMeta.map(meta => meta.mode === 'image' ? 'image' : 'video'));
+    const noun = modes.size === 1 ? `${[...modes][0]}s` : 'items';
+
+    addLogEntry(`Summary: ${succeeded}/${totalItems} ${noun}, ${failed} failed, ${timedOut} timed out`,
+        succeeded === totalItems ? 'success' : 'error');
+}
+
+/**
+ * Load download settings into the form
+ */
+async function loadDownloadSettings() {
+    const { downloadSettings = {} } = await chrome.storage.sync.get(['downloadSettings']);
+    autoDownloadInput.checked = downloadSettings.autoDownload !== false;
+    filenameTemplateInput.value = downloadSettings.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+}
+
+/**
+ * Persist download settings whenever the form changes
+ */
+async function saveDownloadSettings() {
+    await chrome.storage.sync.set({
+        downloadSettings: {
+            autoDownload: autoDownloadInput.checked,
+            filenameTemplate: filenameTemplateInput.value.trim() || DEFAULT_FILENAME_TEMPLATE
+        }
+    });
+}
+
+autoDownloadInput.addEventListener('change', saveDownloadSettings);
+filenameTemplateInput.addEventListener('change', saveDownloadSettings);
+
+/**
+ * Load retry settings into the form
+ */
+async function loadRetrySettings() {
+    const { retrySettings = {} } = await chrome.storage.sync.get(['retrySettings']);
+    const settings = { ...DEFAULT_RETRY_SETTINGS, ...retrySettings };
+    maxRetriesInput.value = settings.maxRetries;
+    retryDelayInput.value = settings.baseDelay / 1000;
+}
+
+/**
+ * Persist retry settings; out-of-range values are clamped
+ */
+async function saveRetrySettings() {
+    const maxRetries = Math.min(10, Math.max(0, parseInt(maxRetriesInput.value, 10) || 0));
+    const delaySeconds = Math.min(300, Math.max(1, parseFloat(retryDelayInput.value) || DEFAULT_RETRY_SETTINGS.baseDelay / 1000));
+    maxRetriesInput.value = maxRetries;
+    retryDelayInput.value = delaySeconds;
+    await chrome.storage.sync.set({ retrySettings: { maxRetries, baseDelay: Math.round(delaySeconds * 1000) } });
+}
+
+maxRetriesInput.addEventListener('change', saveRetrySettings);
+retryDelayInput.addEventListener('change', saveRetrySettings);
+
+/**
+ * Load the parallel tab limit into the form
+ */
+async function loadParallelSettings() {
+    const { parallelSettings = {} } = await chrome.storage.sync.get(['parallelSettings']);
+    maxTabsInput.value = { ...DEFAULT_PARALLEL_SETTINGS, ...parallelSettings }.maxTabs;
+}
+
+/**
+ * Persist the parallel tab limit; background.js applies it at the next item, even mid-run
+ */
+async function saveParallelSettings() {
+    const maxTabs = Math.min(MAX_PARALLEL_TABS, Math.max(1, parseInt(maxTabsInput.value, 10) || 1));
+    maxTabsInput.value = maxTabs;
+    await chrome.storage.sync.set({ parallelSettings: { maxTabs } });
+}
+
+maxTabsInput.addEventListener('change', saveParallelSettings);
+
+/**
+ * Load preprocessing settings into the form
+ */
+async function loadPreprocessSettings() {
+    const { preprocessSettings } = await chrome.storage.sync.get(['preprocessSettings']);
+    const settings = normalizePreprocessSettings(preprocessSettings);
+    preprocessEnabledInput.checked = settings.enabled;
+    maxDimensionInput.value = settings.maxDimension;
+    aspectSelect.value = settings.aspect;
+    fitSelect.value = settings.fit;
+    formatSelect.value = settings.format;
+    qualityInput.value = Math.round(settings.quality * 100);
+    updatePreprocessInputs();
+}
+
+/**
+ * Read the preprocessing form; out-of-range values are clamped
+ */
+function getPreprocessSettings() {
+    return normalizePreprocessSettings({
+        enabled: preprocessEnabledInput.checked,
+        maxDimension: maxDimensionInput.value,
+        aspect: aspectSelect.value,
+        fit: fitSelect.value,
+        format: formatSelect.value,
+        quality: parseInt(qualityInput.value, 10) / 100
+    });
+}
+
+/**
+ * Persist preprocessing settings and refresh the size preview
+ */
+async function savePreprocessSettings() {
+    const settings = getPreprocessSettings();
+    maxDimensionInput.value = settings.maxDimension;
+    qualityInput.value = Math.round(settings.quality * 100);
+    updatePreprocessInputs();
+    renderPreprocessPreview();
+    await chrome.storage.sync.set({ preprocessSettings: settings });
+}
+
+[preprocessEnabledInput, maxDimensionInput, aspectSelect, fitSelect, formatSelect, qualityInput]
+    .forEach(input => input.addEventListener('change', savePreprocessSettings));
+
+/**
+ * Enable the option fields only while preprocessing is on (and not running)
+ */
+function updatePreprocessInputs() {
+    preprocessEnabledInput.disabled = isRunning;
+    const off = isRunning || !preprocessEnabledInput.checked;
+    [maxDimensionInput, aspectSelect, formatSelect].forEach(input => { input.disabled = off; });
+    fitSelect.disabled = off || aspectSelect.value === 'original';
+    qualityInput.disabled = off || formatSelect.value === 'image/png';
+}
+
+/**
+ * Preprocess one image, reusing the result while file and settings are unchanged
+ */
+async function getProcessedImage(file, settings) {
+    const key = JSON.stringify(settings);
+    const cached = preprocessCache.get(file);
+    if (cached && cached.key === key) return cached.result;
+
+    const result = await preprocessImage(file, settings);
+    preprocessCache.set(file, { key, result });
+    return result;
+}
+
+/**
+ * Show the size of every selected image before and after preprocessing
+ * Images are processed one at a time; a newer call cancels an older pass
+ */
+async function renderPreprocessPreview() {
+    const token = ++preprocessPreviewToken;
+    const settings = getPreprocessSettings();
+
+    // Drop results of files that are no longer selected
+    for (const file of preprocessCache.keys()) {
+        if (!selectedFiles.includes(file)) preprocessCache.delete(file);
+    }
+
+    preprocessPreview.classList.toggle('hidden', !settings.enabled || selectedFiles.length === 0);
+    if (!settings.enabled || selectedFiles.length === 0) return;
+
+    preprocessPreview.classList.remove('empty');
+    const summary = document.createElement('div');
+    summary.className = 'preview-summary';
+    summary.textContent = `Processing 0/${selectedFiles.length}...`;
+    preprocessPreview.replaceChildren(summary);
+
+    let before = 0;
+    let after = 0;
+    for (let i = 0; i < selectedFiles.length; i++) {
+        const file = selectedFiles[i];
+        const row = document.createElement('div');
+        row.className = 'preview-row';
+        const name = document.createElement('span');
+        name.className = 'preview-name';
+        name.textContent = file.name;
+        const sizes = document.createElement('span');
+
+        try {
+            const result = await getProcessedImage(file, settings);
+            if (token !== preprocessPreviewToken) return;
+            before += result.before.size;
+            after += result.after.size;
+            sizes.textContent = `${result.before.width}×${result.before.height} · ${formatBytes(result.before.size)} → ` +
+                `${result.after.width}×${result.after.height} · ${formatBytes(result.after.size)}`;
+        } catch (error) {
+            if (token !== preprocessPreviewToken) return;
+            before += file.size;
+            after += file.size;
+            sizes.textContent = `Cannot be processed (${error.message || 'unsupported format'}), uploaded as-is`;
+        }
+
+        row.append(name, sizes);
+        preprocessPreview.appendChild(row);
+        summary.textContent = `Processing ${i + 1}/${selectedFiles.length}...`;
+    }
+
+    summary.textContent = `Total: ${formatBytes(before)} → ${formatBytes(after)}`;
+}
+
+/**
+ * Replace the run's images by their preprocessed versions
+ * Images that cannot be decoded are kept as they are
+ * @param {(File|null)[]} files
+ * @returns {Promise<(File|null)[]>}
+ */
+async function preprocessRunFiles(files) {
+    const settings = getPreprocessSettings();
+    if (!settings.enabled) return files;
+
+    const processed = [];
+    let failed = 0;
+    for (const file of files) {
+        if (!file) {
+            processed.push(null);
+            continue;
+        }
+        try {
+            processed.push((await getProcessedImage(file, settings)).file);
+        } catch (error) {
+            failed++;
+            processed.push(file);
+        }
+    }
+
+    addLogEntry(`Preprocessed ${files.filter(Boolean).length - failed} image(s)` +
+        (failed > 0 ? `, ${failed} could not be processed and are uploaded as-is` : ''), failed > 0 ? 'error' : 'info');
+    return processed;
+}
+
+/**
+ * Create the id of a new run; used as the per-run download folder
+ * Format: run-YYYYMMDD-HHMMSS (local time)
+ */
+function createRunId() {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `run-${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}` +
+        `-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
+
 /**
  * Trigger file picker
  */
@@ -171,16 +669,174 @@ imageInput.addEventListener('change', (e) => {
     if (count > 0) {
         addLogEntry(`Selected ${count} images`);
     }
+
+    renderManifestReport();
+    renderPromptPreview();
+    renderPreprocessPreview();
+});
+
+/**
+ * Trigger manifest picker
+ */
+importManifestBtn.addEventListener('click', () => {
+    manifestInput.click();
+});
+
+/**
+ * Load a CSV/JSON manifest; while one is loaded it replaces positional pairing
+ */
+manifestInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    manifestInput.value = ''; // Allow re-importing the same file after edits
+    if (!file) return;
+
+    try {
+        const { entries, errors } = parseManifest(await file.text(), file.name);
+        if (entries.length === 0) {
+            throw new Error(errors[0] || 'No entries found');
+        }
+        manifest = { fileName: file.name, entries, errors };
+        addLogEntry(`Loaded manifest ${file.name}: ${entries.length} entries`);
+        errors.forEach(error => addLogEntry(`Manifest: ${error}`, 'error'));
+    } catch (error) {
+        manifest = null;
+        addLogEntry(`Error: Could not read manifest: ${error.message}`, 'error');
+    }
+
+    renderManifestReport();
+    renderPromptPreview();
+    updateUIState();
+});
+
+/**
+ * Drop the manifest and go back to pairing by position
+ */
+clearManifestBtn.addEventListener('click', () => {
+    manifest = null;
+    addLogEntry('Manifest cleared - pairing images and prompts by position');
+    renderManifestReport();
+    renderPromptPreview();
+    updateUIState();
 });
 
+/**
+ * Show how the manifest matches the current selection
+ * Lists manifest entries without a selected image and selected images the
+ * manifest does not mention, so mismatches are visible before Start
+ */
+function renderManifestReport() {
+    manifestReport.replaceChildren();
+    manifestReport.classList.toggle('hidden', !manifest);
+    promptsInput.classList.toggle('superseded', !!manifest);
+    if (!manifest) return;
+
+    const { matched, missing, unused } = matchManifest(manifest.entries, selectedFiles);
+    const itemCount = matched.reduce((sum, m) => sum + m.entry.repeat, 0);
+
+    const addLine = (text, className) => {
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        manifestReport.appendChild(line);
+    };
+
+    addLine(`${manifest.fileName}: ${matched.length}/${manifest.entries.length} entries matched, ${itemCount} items`,
+        'manifest-summary');
+    if (manifest.errors.length > 0) {
+        addLine(`${manifest.errors.length} invalid line(s) ignored`, 'manifest-warning');
+    }
+    missing.forEach(entry => addLine(`Missing image: ${entry.filename} (line ${entry.line})`, 'manifest-warning'));
+    unused.forEach(name => addLine(`Not in manifest: ${name}`, 'manifest-muted'));
+}
+
 /**
  * Handle prompt input changes
  */
 promptsInput.addEventListener('input', () => {
     const prompts = getPrompts();
     promptCount.textContent = `${prompts.length} prompt${prompts.length !== 1 ? 's' : ''}`;
+    renderPromptPreview();
+});
+
+/**
+ * Load saved snippets, pairing and generation mode, and pick a fresh seed
+ */
+async function loadTemplateSettings() {
+    const { promptSnippets = '', pairingMode, generationMode } =
+        await chrome.storage.sync.get(['promptSnippets', 'pairingMode', 'generationMode']);
+    snippetsInput.value = promptSnippets;
+    pairingModeSelect.value = PAIRING_MODES.includes(pairingMode) ? pairingMode : 'one-to-one';
+    generationModeSelect.value = MANIFEST_MODES.includes(generationMode) ? generationMode : 'video';
+    seedInput.value = createSeed();
+    renderPromptPreview();
+}
+
+snippetsInput.addEventListener('input', renderPromptPreview);
+snippetsInput.addEventListener('change', () => {
+    chrome.storage.sync.set({ promptSnippets: snippetsInput.value });
+});
+
+seedInput.addEventListener('input', renderPromptPreview);
+
+pairingModeSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ pairingMode: pairingModeSelect.value });
+    renderPromptPreview();
 });
 
+generationModeSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ generationMode: generationModeSelect.value });
+    renderPromptPreview();
+});
+
+newSeedBtn.addEventListener('click', () => {
+    seedInput.value = createSeed();
+    renderPromptPreview();
+});
+
+/**
+ * Get the seed used to expand templates (a blank field means "new seed")
+ */
+function getSeed() {
+    if (!seedInput.value.trim()) {
+        seedInput.value = createSeed();
+    }
+    return seedInput.value.trim();
+}
+
+/**
+ * Show the prompts each item will actually be submitted with
+ */
+function renderPromptPreview() {
+    promptPreview.replaceChildren();
+
+    const { items, error } = buildQueueItems();
+    if (error) {
+        promptPreview.classList.add('empty');
+        promptPreview.textContent = error;
+        itemCount.textContent = '0 items';
+        return;
+    }
+
+    itemCount.textContent = `${items.length} item${items.length !== 1 ? 's' : ''}`;
+    promptPreview.classList.remove('empty');
+    const prompts = expandItemPrompts(items, getSeed(), parseSnippets(snippetsInput.value));
+    items.forEach((item, i) => {
+        const row = document.createElement('div');
+        row.className = 'preview-row';
+
+        const name = document.createElement('span');
+        name.className = 'preview-name';
+        const mode = item.mode || generationModeSelect.value;
+        name.textContent = `${i + 1}. ${item.file ? item.file.name : 'Prompt only'}${mode === 'image' ? ' (image)' : ''}`;
+
+        const prompt = document.createElement('span');
+        prompt.textContent = prompts[i] || '(no prompt)';
+
+        row.append(name, prompt);
+        promptPreview.appendChild(row);
+    });
+}
+
 /**
  * Parse prompts from textarea
  */
@@ -191,6 +847,70 @@ function getPrompts() {
         .filter(line => line.length > 0);
 }
 
+/**
+ * How images and prompt lines are combined when no manifest is loaded
+ * - one-to-one: image N gets prompt N (counts must match)
+ * - single:     the one prompt is used for every image
+ * - cartesian:  every image with every prompt, image by image
+ */
+const PAIRING_MODES = ['one-to-one', 'single', 'cartesian'];
+
+/**
+ * Build the run's items from the current selection
+ * With a manifest, items follow the manifest order (entries expanded by their
+ * repeat count, unmatched entries skipped); otherwise images and prompt lines
+ * are combined according to the pairing mode. Without images every prompt
+ * line becomes a prompt-only item (file null); manifest entries without a
+ * filename do the same inside a mixed batch.
+ * Prompts are returned unexpanded; see expandItemPrompts in templates.js.
+ * @returns {{items?: {file: File|null, prompt: string, mode: string|null}[], skipped?: number, error?: string}}
+ */
+function buildQueueItems() {
+    if (manifest) {
+        const { matched, missing } = matchManifest(manifest.entries, selectedFiles);
+        if (matched.length === 0) {
+            return { error: 'No manifest entries match the selected images' };
+        }
+
+        const items = [];
+        for (const { entry, fileIndex } of matched) {
+            for (let r = 0; r < entry.repeat; r++) {
+                items.push({ file: fileIndex === null ? null : selectedFiles[fileIndex], prompt: entry.prompt, mode: entry.mode });
+            }
+        }
+        return { items, skipped: missing.length };
+    }
+
+    const prompts = getPrompts();
+
+    if (prompts.length === 0) {
+        return { error: selectedFiles.length === 0 ? 'No images or prompts entered' : 'No prompts entered' };
+    }
+
+    if (selectedFiles.length === 0) {
+        return { items: prompts.map(prompt => ({ file: null, prompt, mode: null })) };
+    }
+
+    switch (pairingModeSelect.value) {
+        case 'single':
+            if (prompts.length !== 1) {
+                return { error: `Single prompt mode needs exactly one prompt (found ${prompts.length})` };
+            }
+            return { items: selectedFiles.map(file => ({ file, prompt: prompts[0], mode: null })) };
+
+        case 'cartesian':
+            return {
+                items: selectedFiles.flatMap(file => prompts.map(prompt => ({ file, prompt, mode: null })))
+            };
+
+        default:
+            if (selectedFiles.length !== prompts.length) {
+                return { error: `Image count (${selectedFiles.length}) != prompt count (${prompts.length})` };
+            }
+            return { items: selectedFiles.map((file, i) => ({ file, prompt: prompts[i], mode: null })) };
+    }
+}
+
 /**
  * Convert File to base64 for storage
  */
@@ -208,157 +928,1309 @@ function fileToBase64(file) {
  * Images are converted to base64 one-at-a-time on demand
  */
 startBtn.addEventListener('click', async () => {
-    const prompts = getPrompts();
-
     // Validation
-    if (selectedFiles.length === 0) {
-        addLogEntry('Error: No images selected', 'error');
+    const schedule = getScheduleOptions();
+    if (schedule.error) {
+        addLogEntry(`Error: ${schedule.error}`, 'error');
         return;
     }
 
-    if (prompts.length === 0) {
-        addLogEntry('Error: No prompts entered', 'error');
+    const { items, skipped, error } = buildQueueItems();
+    if (error) {
+        addLogEntry(`Error: ${error}`, 'error');
         return;
     }
-
-    if (selectedFiles.length !== prompts.length) {
-        addLogEntry(`Error: Image count (${selectedFiles.length}) != prompt count (${prompts.length})`, 'error');
-        return;
+    if (skipped > 0) {
+        addLogEntry(`Skipping ${skipped} manifest entr${skipped === 1 ? 'y' : 'ies'} without an image`, 'warn');
     }
 
-    // CLEAR OLD DATA: Remove any previous run data before starting fresh
-    await chrome.storage.local.clear();
-    addLogEntry('Cleared previous run data');
+    // Expand templates once; the stored prompts are exactly what gets submitted
+    const seed = getSeed();
+    const prompts = expandItemPrompts(items, seed, parseSnippets(snippetsInput.value));
+    const files = await preprocessRunFiles(items.map(item => item.file));
 
     // LAZY LOADING: Only store metadata, not full image data
     // This avoids chrome.storage.local quota limits (10MB max)
-    const queueMeta = selectedFiles.map(f => ({
-        name: f.name,
-        size: f.size,
-        type: f.type
+    // Every item carries its resolved mode, so a re-run keeps it
+    // Prompt-only items have no image: name, size and type are null
+    const queueMeta = items.map((item, i) => ({
+        name: files[i] ? files[i].name : null,
+        size: files[i] ? files[i].size : null,
+        type: files[i] ? files[i].type : null,
+        mode: item.mode || generationModeSelect.value
     }));
 
-    addLogEntry(`Preparing ${selectedFiles.length} images (lazy loading enabled)...`);
-
-    // Save only metadata and prompts to storage
-    await chrome.storage.local.set({
-        queueMeta: queueMeta,
-        prompts: prompts,
-        currentIndex: 0,
-        isRunning: true,
-        totalItems: selectedFiles.length,
-        logs: []
-    });
-
-    isRunning = true;
-    updateUIState();
-    updateProgress(0, prompts.length);
-    addLogEntry('Starting automation...');
-
-    // Send start command to content script
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const runId = createRunId();
+    const runInfo = {
+        promptSeed: seed,
+        pairingMode: manifest ? 'manifest' : pairingModeSelect.value,
+        generationMode: generationModeSelect.value
+    };
 
-    if (!tab || !tab.url?.includes('meta.ai/media')) {
-        addLogEntry('Error: Please navigate to https://www.meta.ai/media', 'error');
-        isRunning = false;
-        await chrome.storage.local.set({ isRunning: false });
-        updateUIState();
+    if (schedule.startAt) {
+        await scheduleRun(runId, queueMeta, prompts, runInfo, files, schedule);
         return;
     }
 
-    // Send message with error handling
-    try {
-        await chrome.tabs.sendMessage(tab.id, { type: 'START_AUTOMATION' });
-    } catch (error) {
-        // Content script may not be loaded, inject it first
-        addLogEntry('Injecting content script...', 'info');
-        try {
-            await chrome.scripting.executeScript({
-                target: { tabId: tab.id },
-                files: ['content.js']
-            });
-            // Wait a moment for the script to initialize
-            await new Promise(resolve => setTimeout(resolve, 500));
-            // Retry sending the message
-            await chrome.tabs.sendMessage(tab.id, { type: 'START_AUTOMATION' });
-        } catch (injectError) {
-            addLogEntry('Error: Could not start automation. Please refresh the page.', 'error');
-            isRunning = false;
-            await chrome.storage.local.set({ isRunning: false });
-            updateUIState();
-        }
+    queueFiles = files;
+    if (schedule.spread) {
+        runInfo.spread = { endAt: Date.now() + schedule.spread.windowMs, minGap: schedule.spread.minGap };
     }
+
+    await launchRun(runId, queueMeta, prompts, runInfo, async () => {
+        // Persist the images so the run survives a closed or reloaded sidebar
+        const imageCount = queueFiles.filter(Boolean).length;
+        if (imageCount === 0) return;
+        await saveRunImages(runId, queueFiles);
+        addLogEntry(`Stored ${imageCount} images for this run`);
+    });
 });
 
 /**
- * Stop automation
+ * Replace the stored run with a new one and start it
+ * @param {string} runId
+ * @param {object[]} queueMeta - Per-item image metadata
+ * @param {string[]} prompts - Expanded prompt per item
+ * @param {object} runInfo - Extra keys stored with the run (seed, pairing mode, source run...)
+ * @param {() => Promise<void>} storeImages - Writes the run's images to IndexedDB
  */
-stopBtn.addEventListener('click', async () => {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+async function launchRun(runId, queueMeta, prompts, runInfo, storeImages) {
+    addLogEntry(`Preparing ${queueMeta.length} items (lazy loading enabled)...`);
 
-    if (tab) {
-        try {
-            await chrome.tabs.sendMessage(tab.id, { type: 'STOP_AUTOMATION' });
-        } catch (error) {
-            // Content script may not be available, just update local state
-            console.log('Could not reach content script, updating local state only');
+    try {
+        await storeImages();
+    } catch (error) {
+        addLogEntry(`Could not store images (${error.message}); keep the sidebar open`, 'warn');
+    }
+
+    // CLEAR OLD DATA: Remove any previous run data before starting fresh
+    // (scheduled runs keep their entries and images)
+    const stored = await chrome.storage.local.get(null);
+    await chrome.storage.local.remove(Object.keys(stored).filter(key => !PERSISTENT_LOCAL_KEYS.includes(key)));
+    await deleteOtherRunImages([runId, ...(stored.scheduledRuns || []).map(scheduled => scheduled.runId)]);
+    runningSteps.clear();
+    tabSteps.clear();
+    addLogEntry('Cleared previous run data');
+
+    // Save only metadata and prompts to storage
+    await chrome.storage.local.set({
+        ...runInfo,
+        runId: runId,
+        queueMeta: queueMeta,
+        prompts: prompts,
+        totalItems: queueMeta.length,
+        queueOrder: queueMeta.map((meta, i) => i),
+        itemResults: {}
+    });
+
+    addLogEntry(`Starting automation (${runId}${runInfo.promptSeed ? `, seed ${runInfo.promptSeed}` : ''})...`);
+
+    await requestRunStart();
+}
+
+/**
+ * Indices of the stored run that did not produce a result:
+ * failed, timed out, or never finished (skipped items stay skipped)
+ */
+function getRerunIndices(state) {
+    const results = state.itemResults || {};
+    return Array.from({ length: state.totalItems || 0 }, (_, i) => i)
+        .filter(i => !results[i] || ['failed', 'timeout', 'running'].includes(results[i].status));
+}
+
+/**
+ * Start a new run with only the failed/unfinished items of the stored run,
+ * reusing their original images and expanded prompts
+ */
+rerunFailedBtn.addEventListener('click', async () => {
+    const state = await chrome.storage.local.get(['runId', 'queueMeta', 'prompts', 'itemResults', 'totalItems', 'promptSeed', 'pairingMode', 'generationMode']);
+    const indices = getRerunIndices(state);
+
+    if (!state.runId || indices.length === 0) {
+        addLogEntry('Nothing to re-run');
+        return;
+    }
+
+    const sourceRunId = state.runId;
+    const runId = createRunId();
+    addLogEntry(`Re-running ${indices.length} item(s) from ${sourceRunId}`);
+
+    // Sidebar fallback for images that are missing from IndexedDB
+    queueFiles = indices.map(i => queueFiles[i]);
+
+    await launchRun(runId, indices.map(i => state.queueMeta[i]), indices.map(i => state.prompts[i]), {
+        promptSeed: state.promptSeed,
+        pairingMode: state.pairingMode,
+        generationMode: state.generationMode,
+        sourceRunId: sourceRunId,
+        sourceIndices: indices
+    }, async () => {
+        const copied = await copyRunImages(sourceRunId, runId, indices);
+        const expected = indices.filter(i => state.queueMeta[i]?.name).length;
+        if (copied < expected) {
+            throw new Error(`${expected - copied} original image(s) no longer stored`);
         }
+    });
+});
+
+/**
+ * Send a run command to background.js, which owns the run
+ * @returns {Promise<object|null>} The response, or null if the background is unreachable
+ */
+async function sendRunCommand(message) {
+    try {
+        return await chrome.runtime.sendMessage(message);
+    } catch (error) {
+        console.log('Could not reach background:', error.message);
+        return null;
     }
+}
 
-    await chrome.storage.local.set({ isRunning: false });
-    isRunning = false;
-    updateUIState();
+/**
+ * Start the stored run in the active tab, or resume it in the tab it is bound to
+ * background.js records the tab (and its window) at start; later commands go there.
+ * A run that could not start stays paused, so nothing is lost and Resume can try again
+ * @param {boolean} [resume] - Resuming: keep the run's own tab (or any meta.ai/media tab if it was closed)
+ * @returns {Promise<boolean>} true if the run started
+ */
+async function requestRunStart(resume = false) {
+    let tabId;
+    if (!resume) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab || !isMetaAiMediaUrl(tab.url)) {
+            addLogEntry(`Error: Please navigate to ${META_AI_ORIGIN}/media`, 'error');
+            await chrome.storage.local.set({ isRunning: false, runState: 'paused' });
+            setRunState('paused');
+            return false;
+        }
+        tabId = tab.id;
+    }
+
+    const response = await sendRunCommand({ type: 'START_RUN', tabId });
+    if (!response?.success) {
+        addLogEntry(`Error: Could not start automation (${response?.error || 'background unreachable'})`, 'error');
+        const { runState: state } = await chrome.storage.local.get(['runState']);
+        if (!isHaltedState(state)) {
+            await chrome.storage.local.set({ isRunning: false, runState: 'paused' });
+        }
+        setRunState(isHaltedState(state) ? state : 'paused');
+        return false;
+    }
+
+    setRunState('running');
+    return true;
+}
+
+/**
+ * The tab a run is bound to (the one it was started in), while it is running or halted
+ * @returns {Promise<chrome.tabs.Tab|null>} null without a run, or if the tab was closed
+ */
+async function getRunTab() {
+    if (!isRunning && !isHaltedState(runState)) return null;
+    const { runTabIds = [] } = await chrome.storage.local.get(['runTabIds']);
+    if (runTabIds.length === 0) return null;
+    return chrome.tabs.get(runTabIds[0]).catch(() => null);
+}
+
+/**
+ * Send a command to the content script of the run's tab, or of the active tab without a run
+ * @returns {Promise<object|null>} The response, or null if the page is unreachable
+ */
+async function sendToTargetTab(message) {
+    const tab = await getRunTab() || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (!tab) return null;
+    try {
+        return await chrome.tabs.sendMessage(tab.id, message);
+    } catch (error) {
+        console.log('Could not reach content script:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Whether the run is halted but resumable (paused, or waiting out a rate limit)
+ */
+function isHaltedState(state) {
+    return state === 'paused' || state === 'rate_limited';
+}
+
+/**
+ * Pause (while running) or resume (while paused or rate limited)
+ * Pausing lets the current item finish its step; the run keeps its position
+ * in storage, so Resume also works after the browser was restarted.
+ */
+pauseBtn.addEventListener('click', async () => {
+    if (isHaltedState(runState)) {
+        addLogEntry('Resuming automation...');
+        await requestRunStart(true);
+        return;
+    }
+
+    setRunState('pausing');
+    addLogEntry('Pausing after the current step...');
+
+    // The background answers AUTOMATION_PAUSED once the item has stopped
+    const response = await sendRunCommand({ type: 'PAUSE_RUN' });
+    if (!response?.success) {
+        addLogEntry(`Error: Could not pause (${response?.error || 'background unreachable'})`, 'error');
+        setRunState('running');
+    }
+});
+
+/**
+ * Stop automation
+ * Unlike Pause this ends the run; unfinished items stay pending in the queue
+ */
+stopBtn.addEventListener('click', async () => {
     addLogEntry('Stopping automation...');
+    const response = await sendRunCommand({ type: 'STOP_RUN' });
+    if (!response?.success) {
+        addLogEntry(`Error: Could not stop (${response?.error || 'background unreachable'})`, 'error');
+    }
 });
 
+/**
+ * Switch the sidebar's run state and refresh controls and progress text
+ */
+function setRunState(state) {
+    runState = state;
+    isRunning = state === 'running' || state === 'pausing';
+    updateUIState();
+    updateProgress(lastProgress.done, lastProgress.total);
+    renderTabStatus();
+    renderRunTarget();
+    checkIfOnMetaSite().then(updateSiteWarning);
+}
+
 /**
  * Update UI based on running state
  */
 function updateUIState() {
-    startBtn.disabled = isRunning;
-    stopBtn.disabled = !isRunning;
+    const isPaused = isHaltedState(runState);
+    startBtn.disabled = isRunning || isPaused;
+    stopBtn.disabled = !isRunning && !isPaused;
+    pauseBtn.disabled = runState !== 'running' && !isPaused;
+    pauseBtnLabel.textContent = isPaused ? (runState === 'rate_limited' ? 'Resume now' : 'Resume') : (runState === 'pausing' ? 'Pausing...' : 'Pause');
     selectImagesBtn.disabled = isRunning;
     promptsInput.disabled = isRunning;
+    pairingModeSelect.disabled = isRunning || !!manifest;
+    generationModeSelect.disabled = isRunning;
+    snippetsInput.disabled = isRunning;
+    seedInput.disabled = isRunning;
+    newSeedBtn.disabled = isRunning;
+    importManifestBtn.disabled = isRunning;
+    clearManifestBtn.disabled = isRunning || !manifest;
+    rerunFailedBtn.disabled = isRunning || isPaused;
+    if (isRunning || isPaused) rerunFailedBtn.classList.add('hidden');
+    maxRetriesInput.disabled = isRunning;
+    retryDelayInput.disabled = isRunning;
+    autoDownloadInput.disabled = isRunning;
+    filenameTemplateInput.disabled = isRunning;
+    updatePreprocessInputs();
+    updateScheduleInputs();
 }
 
 /**
  * Update progress bar and text
+ * @param {number} done - Items with a final result
  */
-function updateProgress(current, total) {
-    const percent = total > 0 ? (current / total) * 100 : 0;
+function updateProgress(done, total) {
+    lastProgress = { done, total };
+    const percent = total > 0 ? (done / total) * 100 : 0;
     progressBar.style.width = `${percent}%`;
-    progressText.textContent = `Processing ${current}/${total}`;
+    let label = RUN_STATE_LABELS[runState];
+    if (runState === 'rate_limited' && rateLimitResumeAt) {
+        label += ` · resumes in ${formatElapsed(rateLimitResumeAt - Date.now())}`;
+    }
+    progressText.textContent = total > 0 ? `${label} · ${done}/${total}` : label;
+}
+
+const RUN_STATE_LABELS = {
+    idle: 'Ready',
+    running: 'Processing',
+    pausing: 'Pausing',
+    paused: 'Paused',
+    rate_limited: 'Rate limited',
+    stopped: 'Stopped',
+    complete: 'Complete'
+};
+
+// ============================================================================
+// SCHEDULED RUNS
+// ============================================================================
+
+/**
+ * Clamp a spread window (hours) and minimum gap (minutes) to milliseconds
+ * @returns {{windowMs: number, minGap: number}}
+ */
+function parseSpread(windowHours, gapMinutes) {
+    return {
+        windowMs: Math.round(Math.min(Math.max(parseFloat(windowHours) || 1, 0.5), 72) * 3600000),
+        minGap: Math.round(Math.min(Math.max(parseFloat(gapMinutes) || 0, 0), 240) * 60000)
+    };
+}
+
+/**
+ * Read the schedule form
+ * @returns {{startAt: number|null, spread: {windowMs: number, minGap: number}|null, error?: string}}
+ */
+function getScheduleOptions() {
+    let startAt = null;
+    if (startModeSelect.value === 'at') {
+        startAt = new Date(startAtInput.value).getTime();
+        if (!Number.isFinite(startAt)) {
+            return { error: 'Pick a start time for the scheduled run' };
+        }
+        if (startAt <= Date.now()) {
+            return { error: 'The start time is in the past' };
+        }
+    }
+    const spread = spreadEnabledInput.checked ? parseSpread(spreadWindowInput.value, spreadGapInput.value) : null;
+    return { startAt, spread };
+}
+
+/**
+ * Format a timestamp for a datetime-local input (local time)
+ */
+function toDateTimeLocal(ms) {
+    const date = new Date(ms - new Date(ms).getTimezoneOffset() * 60000);
+    return date.toISOString().slice(0, 16);
+}
+
+/**
+ * Enable the schedule inputs that apply and name the Start button after the action
+ */
+function updateScheduleInputs() {
+    startModeSelect.disabled = isRunning;
+    startAtInput.disabled = isRunning || startModeSelect.value !== 'at';
+    spreadEnabledInput.disabled = isRunning;
+    spreadWindowInput.disabled = isRunning || !spreadEnabledInput.checked;
+    spreadGapInput.disabled = isRunning || !spreadEnabledInput.checked;
+    startBtnLabel.textContent = startModeSelect.value === 'at' ? 'Schedule' : 'Start';
+}
+
+startModeSelect.addEventListener('change', () => {
+    // Suggest the next full hour
+    if (startModeSelect.value === 'at' && !startAtInput.value) {
+        const next = new Date();
+        next.setHours(next.getHours() + 1, 0, 0, 0);
+        startAtInput.value = toDateTimeLocal(next.getTime());
+    }
+    updateScheduleInputs();
+});
+spreadEnabledInput.addEventListener('change', updateScheduleInputs);
+
+/**
+ * Store a run for later; background.js arms an alarm for it and starts it
+ * Scheduled runs can't fall back to the sidebar for images, so storing them must succeed
+ */
+async function scheduleRun(runId, queueMeta, prompts, runInfo, files, schedule) {
+    try {
+        if (files.some(Boolean)) {
+            await saveRunImages(runId, files);
+        }
+    } catch (error) {
+        addLogEntry(`Error: could not store the images of the scheduled run (${error.message})`, 'error');
+        return;
+    }
+
+    const { scheduledRuns = [] } = await chrome.storage.local.get(['scheduledRuns']);
+    scheduledRuns.push({
+        runId,
+        createdAt: Date.now(),
+        startAt: schedule.startAt,
+        spread: schedule.spread,
+        run: { ...runInfo, queueMeta, prompts }
+    });
+    await chrome.storage.local.set({ scheduledRuns });
+
+    addLogEntry(`🗓 Scheduled ${queueMeta.length} items (${runId}) for ${new Date(schedule.startAt).toLocaleString()}` +
+        (schedule.spread ? `, spread over ${schedule.spread.windowMs / 3600000} h` : ''), 'success');
+}
+
+/**
+ * Apply a change to one scheduled run and save the list
+ */
+async function updateScheduledRun(runId, change) {
+    const { scheduledRuns = [] } = await chrome.storage.local.get(['scheduledRuns']);
+    const scheduled = scheduledRuns.find(entry => entry.runId === runId);
+    if (!scheduled) return; // Started or cancelled meanwhile
+    change(scheduled);
+    await chrome.storage.local.set({ scheduledRuns });
+}
+
+/**
+ * Remove a scheduled run and its stored images
+ */
+async function cancelScheduledRun(runId) {
+    if (!confirm(`Cancel the scheduled run ${runId}?`)) return;
+    const { scheduledRuns = [] } = await chrome.storage.local.get(['scheduledRuns']);
+    await chrome.storage.local.set({ scheduledRuns: scheduledRuns.filter(entry => entry.runId !== runId) });
+    await deleteRunImages(runId);
+    addLogEntry(`Cancelled scheduled run ${runId}`);
+}
+
+/**
+ * List the upcoming runs, soonest first
+ * Start time and spread can be edited in place; a spread window of 0 starts
+ * the items back to back.
+ */
+async function renderScheduledRuns() {
+    const { scheduledRuns = [] } = await chrome.storage.local.get(['scheduledRuns']);
+    scheduledList.classList.toggle('hidden', scheduledRuns.length === 0);
+
+    const rows = [...scheduledRuns].sort((a, b) => a.startAt - b.startAt).map(scheduled => {
+        const row = document.createElement('div');
+        row.className = 'scheduled-row';
+
+        const modes = new Set(scheduled.run.queueMeta.map(meta => meta.mode));
+        const title = document.createElement('div');
+        title.className = 'scheduled-title';
+        const name = document.createElement('span');
+        name.textContent = `${scheduled.runId} · ${scheduled.run.queueMeta.length} items` +
+            (modes.size > 1 ? ' · mixed' : modes.has('image') ? ' · image' : '');
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'queue-btn';
+        cancelBtn.textContent = '✕';
+        cancelBtn.title = 'Cancel this run';
+        cancelBtn.addEventListener('click', () => cancelScheduledRun(scheduled.runId));
+        title.append(name, cancelBtn);
+
+        const fields = document.createElement('div');
+        fields.className = 'scheduled-fields';
+
+        const startAt = document.createElement('input');
+        startAt.type = 'datetime-local';
+        startAt.className = 'input';
+        startAt.title = 'Start time';
+        startAt.value = toDateTimeLocal(scheduled.startAt);
+        startAt.addEventListener('change', () => {
+            const value = new Date(startAt.value).getTime();
+            if (!Number.isFinite(value) || value <= Date.now()) {
+                addLogEntry('Error: the start time is in the past', 'error');
+                startAt.value = toDateTimeLocal(scheduled.startAt);
+                return;
+            }
+            updateScheduledRun(scheduled.runId, entry => { entry.startAt = value; });
+        });
+
+        const windowInput = document.createElement('input');
+        windowInput.type = 'number';
+        windowInput.className = 'input';
+        windowInput.title = 'Spread window (h), 0 = no spread';
+        windowInput.min = '0';
+        windowInput.step = '0.5';
+        windowInput.value = scheduled.spread ? scheduled.spread.windowMs / 3600000 : 0;
+
+        const gapInput = document.createElement('input');
+        gapInput.type = 'number';
+        gapInput.className = 'input';
+        gapInput.title = 'Minimum gap (min)';
+        gapInput.min = '0';
+        gapInput.value = scheduled.spread ? scheduled.spread.minGap / 60000 : 0;
+        gapInput.disabled = !scheduled.spread;
+
+        const saveSpread = () => updateScheduledRun(scheduled.runId, entry => {
+            entry.spread = parseFloat(windowInput.value) > 0 ? parseSpread(windowInput.value, gapInput.value) : null;
+        });
+        windowInput.addEventListener('change', saveSpread);
+        gapInput.addEventListener('change', saveSpread);
+
+        fields.append(startAt, windowInput, gapInput);
+        row.append(title, fields);
+        return row;
+    });
+
+    scheduledList.replaceChildren(...rows);
+}
+
+// ============================================================================
+// QUEUE VIEW
+// ============================================================================
+
+const QUEUE_STATUS_LABELS = {
+    pending: 'Pending',
+    running: 'Running',
+    success: 'Done',
+    failed: 'Failed',
+    timeout: 'Timed out',
+    skipped: 'Skipped'
+};
+
+/**
+ * Format a duration in ms as m:ss
+ */
+function formatElapsed(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get an object URL for an item's thumbnail from IndexedDB (cached per run)
+ */
+async function getThumbnailUrl(runId, index) {
+    const key = `${runId}:${index}`;
+    if (!thumbnailUrls.has(key)) {
+        const record = await getRunImage(runId, index).catch(() => null);
+        thumbnailUrls.set(key, record ? URL.createObjectURL(record.blob) : null);
+    }
+    return thumbnailUrls.get(key);
+}
+
+/**
+ * Release thumbnails that belong to other runs
+ */
+function releaseThumbnails(runId) {
+    for (const [key, url] of thumbnailUrls) {
+        if (!key.startsWith(`${runId}:`)) {
+            if (url) URL.revokeObjectURL(url);
+            thumbnailUrls.delete(key);
+        }
+    }
+}
+
+/**
+ * Render one row per item in processing order
+ */
+async function renderQueue() {
+    const state = await chrome.storage.local.get(['runId', 'queueMeta', 'prompts', 'queueOrder', 'itemResults', 'totalItems']);
+    const total = state.totalItems || 0;
+
+    const rerunCount = getRerunIndices(state).length;
+    rerunFailedBtn.classList.toggle('hidden', rerunCount === 0 || isRunning || isHaltedState(runState));
+    rerunFailedBtn.textContent = `Re-run ${rerunCount} failed item${rerunCount !== 1 ? 's' : ''}`;
+
+    if (!state.runId || total === 0) {
+        queueTable.replaceChildren();
+        queueTable.classList.add('empty');
+        queueTable.textContent = 'No run yet';
+        updateProgress(0, 0);
+        return;
+    }
+
+    releaseThumbnails(state.runId);
+
+    const results = state.itemResults || {};
+    const order = state.queueOrder || Array.from({ length: total }, (_, i) => i);
+    const isPending = (i) => !results[i];
+    const rows = [];
+
+    for (let position = 0; position < order.length; position++) {
+        const index = order[position];
+        const result = results[index] || { status: 'pending' };
+        const meta = state.queueMeta?.[index] || {};
+
+        const row = document.createElement('div');
+        row.className = `queue-row status-${result.status}`;
+        row.dataset.index = index;
+
+        const thumb = document.createElement('div');
+        thumb.className = 'queue-thumb';
+        const thumbUrl = await getThumbnailUrl(state.runId, index);
+        if (thumbUrl) {
+            const img = document.createElement('img');
+            img.src = thumbUrl;
+            img.alt = '';
+            thumb.appendChild(img);
+        }
+
+        const info = document.createElement('div');
+        info.className = 'queue-info';
+
+        const title = document.createElement('div');
+        title.className = 'queue-title';
+        title.textContent = `#${index + 1} ${meta.name || 'Prompt only'}${meta.mode === 'image' ? ' · image' : ''}`;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'queue-prompt';
+        prompt.textContent = state.prompts?.[index] || '(no prompt)';
+        prompt.title = prompt.textContent;
+
+        const status = document.createElement('div');
+        status.className = 'queue-status';
+        const badge = document.createElement('span');
+        badge.className = 'status-badge';
+        badge.textContent = QUEUE_STATUS_LABELS[result.status] || result.status;
+        const elapsed = document.createElement('span');
+        elapsed.className = 'queue-elapsed';
+        if (result.startedAt) {
+            elapsed.dataset.startedAt = result.startedAt;
+            if (result.finishedAt) elapsed.dataset.finishedAt = result.finishedAt;
+        }
+        const detail = document.createElement('span');
+        detail.className = 'queue-detail';
+        detail.textContent = result.status === 'running' ? (runningSteps.get(index) || '') : (result.error || '');
+        detail.title = detail.textContent;
+        status.append(badge, elapsed, detail);
+
+        info.append(title, prompt, status);
+
+        // Actions: reorder/skip pending items, retry finished ones
+        const actions = document.createElement('div');
+        actions.className = 'queue-actions';
+        const hasPendingBefore = order.slice(0, position).some(isPending);
+        const hasPendingAfter = order.slice(position + 1).some(isPending);
+        actions.append(
+            createQueueButton('↑', 'Move up', 'up', index, !isPending(index) || !hasPendingBefore),
+            createQueueButton('↓', 'Move down', 'down', index, !isPending(index) || !hasPendingAfter),
+            createQueueButton('⤼', 'Skip', 'skip', index, !isPending(index)),
+            createQueueButton('↻', 'Retry', 'retry', index, isPending(index) || ['running', 'success'].includes(result.status))
+        );
+
+        row.append(thumb, info, actions);
+        rows.push(row);
+    }
+
+    queueTable.classList.remove('empty');
+    queueTable.replaceChildren(...rows);
+    updateElapsedTimes();
+
+    const done = Object.values(results).filter(r => r.status !== 'running').length;
+    updateProgress(done, total);
+}
+
+/**
+ * Create a small icon button for a queue row
+ */
+function createQueueButton(label, title, action, index, disabled) {
+    const button = document.createElement('button');
+    button.className = 'queue-btn';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', () => applyQueueAction(action, index));
+    return button;
+}
+
+/**
+ * Refresh elapsed times of running and finished rows
+ */
+function updateElapsedTimes() {
+    queueTable.querySelectorAll('.queue-elapsed[data-started-at]').forEach(el => {
+        const end = el.dataset.finishedAt ? Number(el.dataset.finishedAt) : Date.now();
+        el.textContent = formatElapsed(end - Number(el.dataset.startedAt));
+    });
+}
+
+/**
+ * Show the latest step of a running item without a full re-render
+ */
+function updateRunningStep(index) {
+    const detail = queueTable.querySelector(`.queue-row.status-running[data-index="${index}"] .queue-detail`);
+    if (detail) {
+        detail.textContent = runningSteps.get(index);
+        detail.title = detail.textContent;
+    }
 }
 
 /**
- * Add entry to activity log
+ * Name the tab the run is bound to, so it can be found again after switching tabs
  */
-function addLogEntry(message, type = 'info', save = true) {
-    const entry = document.createElement('div');
-    entry.className = `log-entry ${type}`;
+async function renderRunTarget() {
+    const tab = await getRunTab();
+    runTabInfo.classList.toggle('hidden', !tab);
+    if (!tab) return;
+
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const { runTabIds = [] } = await chrome.storage.local.get(['runTabIds']);
+    const more = runTabIds.length > 1 ? ` (+${runTabIds.length - 1} more)` : '';
+    runTabLabel.textContent = activeTab?.id === tab.id
+        ? `Running in this tab${more}`
+        : `Running in "${tab.title || tab.url}"${activeTab?.windowId !== tab.windowId ? ' in another window' : ''}${more}`;
+    runTabLabel.title = runTabLabel.textContent;
+    focusRunTabBtn.disabled = activeTab?.id === tab.id;
+}
+
+/**
+ * Bring the run's tab (and its window) to the front
+ */
+focusRunTabBtn.addEventListener('click', async () => {
+    const tab = await getRunTab();
+    if (!tab) {
+        addLogEntry('The tab of this run is no longer open', 'error');
+        return;
+    }
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+});
+
+/**
+ * Show what each tab of a multi-tab run is doing and how many items it finished
+ */
+async function renderTabStatus() {
+    const { runTabIds = [], activeItems = {}, itemResults = {} } =
+        await chrome.storage.local.get(['runTabIds', 'activeItems', 'itemResults']);
+    const show = runTabIds.length > 1 && (isRunning || isHaltedState(runState));
+    tabStatusList.classList.toggle('hidden', !show);
+    if (!show) {
+        tabStatusList.replaceChildren();
+        return;
+    }
+
+    const results = Object.values(itemResults);
+    tabStatusList.replaceChildren(...runTabIds.map((tabId, i) => {
+        const active = activeItems[tabId];
+        const done = results.filter(result => result.tabId === tabId && result.status !== 'running').length;
+
+        const row = document.createElement('div');
+        row.className = `tab-status-row${active ? ' busy' : ''}`;
+
+        const name = document.createElement('span');
+        name.className = 'tab-status-name';
+        name.textContent = `Tab ${i + 1}`;
+
+        const detail = document.createElement('span');
+        detail.className = 'tab-status-detail';
+        detail.textContent = active ? `#${active.index + 1} · ${tabSteps.get(tabId) || 'Starting...'}` : 'Idle';
+        detail.title = detail.textContent;
+
+        const count = document.createElement('span');
+        count.className = 'tab-status-count';
+        count.textContent = `${done} done`;
+
+        row.append(name, detail, count);
+        return row;
+    }));
+}
+
+/**
+ * Apply a row action to the stored queue (see applyQueueAction in background.js)
+ * Changes take effect at the next item of a running run.
+ */
+async function applyQueueAction(action, index) {
+    const response = await sendRunCommand({ type: 'QUEUE_ACTION', action, index });
+    if (!response?.success) return;
+
+    if (action === 'skip') {
+        addLogEntry(`Skipped item ${index + 1}`, 'info', { index });
+    } else if (action === 'retry') {
+        addLogEntry(`Re-queued item ${index + 1}`, 'info', { index });
+        if (response.restarted) {
+            setRunState('running');
+            addLogEntry('Restarting run for re-queued items...');
+        } else if (response.error) {
+            addLogEntry(`Error: Could not restart the run (${response.error})`, 'error');
+        }
+    }
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+const HISTORY_EXPORT_FORMAT = 'meta-ai-automator/run-history';
+
+const HISTORY_STATE_LABELS = {
+    running: 'Running',
+    pausing: 'Pausing',
+    paused: 'Paused',
+    rate_limited: 'Rate limited',
+    stopped: 'Stopped',
+    complete: 'Complete'
+};
+
+// One CSV row per item; the run columns repeat on each row
+const HISTORY_CSV_COLUMNS = [
+    'runId', 'runStartedAt', 'runFinishedAt', 'runState', 'generationMode', 'promptSeed',
+    'index', 'imageName', 'imageSize', 'mode', 'prompt', 'status', 'attempts',
+    'startedAt', 'finishedAt', 'durationSeconds', 'error', 'outputUrls', 'savedFiles'
+];
+
+let historyRuns = [];              // Records from getRunHistory(), newest first
+const expandedHistoryRuns = new Set();  // runIds whose items are shown
+
+/**
+ * Load the run history and render the runs that match the search
+ */
+async function renderHistory() {
+    try {
+        historyRuns = await getRunHistory();
+    } catch (error) {
+        historyList.classList.add('empty');
+        historyList.textContent = `Could not load the history: ${error.message}`;
+        return;
+    }
+
+    const runs = getFilteredHistory();
+    exportHistoryJsonBtn.disabled = runs.length === 0;
+    exportHistoryCsvBtn.disabled = runs.length === 0;
+
+    if (runs.length === 0) {
+        historyList.replaceChildren();
+        historyList.classList.add('empty');
+        historyList.textContent = historyRuns.length === 0 ? 'No runs yet' : 'No run matches the search';
+        return;
+    }
+
+    historyList.classList.remove('empty');
+    historyList.replaceChildren(...runs.map(createHistoryRow));
+}
+
+/**
+ * History records matching the search box (run id, seed, state, image names, prompts, errors)
+ */
+function getFilteredHistory() {
+    const query = historySearchInput.value.trim().toLowerCase();
+    if (!query) return historyRuns;
+
+    return historyRuns.filter(run => [
+        run.runId,
+        run.state,
+        run.settings?.promptSeed,
+        ...run.items.flatMap(item => [item.imageName, item.prompt, item.error, item.status])
+    ].some(value => value && String(value).toLowerCase().includes(query)));
+}
+
+/**
+ * Render one run: summary line, actions and (when expanded) its items
+ */
+function createHistoryRow(run) {
+    const row = document.createElement('div');
+    row.className = 'history-row';
+
+    const counts = {};
+    run.items.forEach(item => {
+        counts[item.status] = (counts[item.status] || 0) + 1;
+    });
+    const failed = (counts.failed || 0) + (counts.timeout || 0);
+
+    const header = document.createElement('div');
+    header.className = 'history-header';
+
+    const title = document.createElement('div');
+    title.className = 'history-title';
+    title.textContent = `${new Date(run.startedAt).toLocaleString()} · ${run.runId}`;
+    title.title = title.textContent;
+
+    const badge = document.createElement('span');
+    badge.className = `status-badge history-state-${run.state}`;
+    badge.textContent = HISTORY_STATE_LABELS[run.state] || run.state;
+
+    header.append(title, badge);
+
+    const summary = document.createElement('div');
+    summary.className = 'history-summary';
+    const parts = [`${counts.success || 0}/${run.items.length} done`];
+    if (failed > 0) parts.push(`${failed} failed`);
+    if (counts.skipped) parts.push(`${counts.skipped} skipped`);
+    if (run.finishedAt) parts.push(`took ${formatElapsed(run.finishedAt - run.startedAt)}`);
+    if (run.settings?.generationMode) parts.push(run.settings.generationMode);
+    if (run.settings?.promptSeed) parts.push(`seed ${run.settings.promptSeed}`);
+    summary.textContent = parts.join(' · ');
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    const expanded = expandedHistoryRuns.has(run.runId);
+    actions.append(
+        createHistoryButton(expanded ? 'Hide items' : 'Items', () => {
+            if (expanded) {
+                expandedHistoryRuns.delete(run.runId);
+            } else {
+                expandedHistoryRuns.add(run.runId);
+            }
+            renderHistory();
+        }),
+        createHistoryButton('JSON', () => exportHistory([run], 'json')),
+        createHistoryButton('CSV', () => exportHistory([run], 'csv')),
+        createHistoryButton('Delete', async () => {
+            if (!confirm(`Delete run ${run.runId} from the history?`)) return;
+            await deleteRunHistory(run.runId);
+            expandedHistoryRuns.delete(run.runId);
+            renderHistory();
+        })
+    );
+
+    row.append(header, summary, actions);
+
+    if (expanded) {
+        const items = document.createElement('div');
+        items.className = 'history-items';
+        items.append(...run.items.map(item => createHistoryItem(run, item)));
+        row.appendChild(items);
+    }
+
+    return row;
+}
+
+/**
+ * Render one item of an expanded run
+ */
+function createHistoryItem(run, item) {
+    const row = document.createElement('div');
+    row.className = `history-item status-${item.status}`;
+
+    const status = document.createElement('div');
+    status.className = 'queue-status';
+    const badge = document.createElement('span');
+    badge.className = 'status-badge';
+    badge.textContent = QUEUE_STATUS_LABELS[item.status] || item.status;
+    const title = document.createElement('span');
+    title.className = 'queue-title';
+    title.textContent = `#${item.index + 1} ${item.imageName || 'Prompt only'}`;
+    status.append(badge, title);
+    if (item.startedAt && item.finishedAt) {
+        const elapsed = document.createElement('span');
+        elapsed.className = 'queue-elapsed';
+        elapsed.textContent = formatElapsed(item.finishedAt - item.startedAt);
+        status.appendChild(elapsed);
+    }
+
+    const prompt = document.createElement('div');
+    prompt.className = 'queue-prompt';
+    prompt.textContent = item.prompt || '(no prompt)';
+    prompt.title = prompt.textContent;
+
+    row.append(status, prompt);
+
+    const files = run.downloads?.[item.index] || [];
+    const detail = item.error || (files.length > 0 ? `Saved: ${files.join(', ')}` : getItemOutputUrls(item).join(' '));
+    if (detail) {
+        const line = document.createElement('div');
+        line.className = 'queue-detail';
+        line.textContent = detail;
+        line.title = detail;
+        row.appendChild(line);
+    }
+
+    return row;
+}
+
+/**
+ * Create a small text button for a history row
+ */
+function createHistoryButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'history-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Output URLs an item produced (one video or several images)
+ */
+function getItemOutputUrls(item) {
+    return item.videoUrl ? [item.videoUrl] : (item.imageUrls || []);
+}
+
+/**
+ * Quote a CSV field when needed
+ * Text that a spreadsheet would run as a formula (=, +, -, @) gets a leading quote.
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    const time = new Date().toLocaleTimeString('en-US', {
+/**
+ * Flatten history records into CSV, one row per item
+ */
+function buildHistoryCsv(runs) {
+    const toIso = (ms) => ms ? new Date(ms).toISOString() : '';
+    const lines = [HISTORY_CSV_COLUMNS.join(',')];
+
+    runs.forEach(run => run.items.forEach(item => {
+        const values = {
+            runId: run.runId,
+            runStartedAt: toIso(run.startedAt),
+            runFinishedAt: toIso(run.finishedAt),
+            runState: run.state,
+            generationMode: run.settings?.generationMode,
+            promptSeed: run.settings?.promptSeed,
+            index: item.index + 1,
+            imageName: item.imageName,
+            imageSize: item.imageSize,
+            mode: item.mode,
+            prompt: item.prompt,
+            status: item.status,
+            attempts: item.attempts,
+            startedAt: toIso(item.startedAt),
+            finishedAt: toIso(item.finishedAt),
+            durationSeconds: item.startedAt && item.finishedAt ? Math.round((item.finishedAt - item.startedAt) / 1000) : '',
+            error: item.error,
+            outputUrls: getItemOutputUrls(item).join(' '),
+            savedFiles: (run.downloads?.[item.index] || []).join(' ')
+        };
+        lines.push(HISTORY_CSV_COLUMNS.map(column => toCsvField(values[column])).join(','));
+    }));
+
+    return lines.join('\r\n');
+}
+
+/**
+ * Download runs from the history as JSON (full records) or CSV (one row per item)
+ * @param {object[]} runs
+ * @param {'json'|'csv'} format
+ */
+function exportHistory(runs, format) {
+    const name = runs.length === 1 ? runs[0].runId : `${runs.length}-runs`;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    if (format === 'csv') {
+        downloadTextFile(buildHistoryCsv(runs), `meta-ai-history-${name}-${stamp}.csv`, 'text/csv');
+    } else {
+        const data = { format: HISTORY_EXPORT_FORMAT, version: 1, exportedAt: new Date().toISOString(), runs };
+        downloadTextFile(JSON.stringify(data, null, 2), `meta-ai-history-${name}-${stamp}.json`, 'application/json');
+    }
+}
+
+/**
+ * Save text as a file through a temporary download link
+ */
+function downloadTextFile(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+historySearchInput.addEventListener('input', renderHistory);
+exportHistoryJsonBtn.addEventListener('click', () => exportHistory(getFilteredHistory(), 'json'));
+exportHistoryCsvBtn.addEventListener('click', () => exportHistory(getFilteredHistory(), 'csv'));
+
+// ============================================================================
+// DIAGNOSTICS
+// ============================================================================
+
+const HEALTH_REPORT_FORMAT = 'meta-ai-automator/health-report';
+
+/**
+ * Switch between the Run and Diagnostics tabs
+ */
+document.querySelectorAll('.tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+        document.querySelectorAll('.tab').forEach(other => {
+            other.classList.toggle('active', other === tab);
+            document.getElementById(other.dataset.tab).classList.toggle('hidden', other !== tab);
+        });
+        if (tab.dataset.tab === 'historyTab') renderHistory();
+    });
+});
+
+/**
+ * Ask the page for a selector health report and render it
+ */
+runDiagnosticsBtn.addEventListener('click', async () => {
+    runDiagnosticsBtn.disabled = true;
+    runDiagnosticsBtn.textContent = 'Checking...';
+
+    const response = await sendToTargetTab({ type: 'RUN_DIAGNOSTICS' });
+
+    runDiagnosticsBtn.disabled = false;
+    runDiagnosticsBtn.textContent = 'Run diagnostics';
+
+    if (!response?.report) {
+        diagnosticsReport = null;
+        exportReportBtn.disabled = true;
+        diagnosticsList.replaceChildren();
+        diagnosticsSummary.textContent = 'Could not reach the page. Open https://www.meta.ai/media and reload it.';
+        diagnosticsSummary.className = 'diagnostics-summary unhealthy';
+        return;
+    }
+
+    diagnosticsReport = response.report;
+    exportReportBtn.disabled = false;
+    renderDiagnostics(diagnosticsReport);
+});
+
+/**
+ * Render one card per selector role with the match count of every selector
+ */
+function renderDiagnostics(report) {
+    const found = report.roles.filter(role => role.found).length;
+    const missingRequired = report.roles.filter(role => role.required && !role.found);
+
+    diagnosticsSummary.textContent = missingRequired.length === 0
+        ? `Healthy · ${found}/${report.roles.length} roles found · mode: ${report.currentMode || 'unknown'}`
+        : `Missing: ${missingRequired.map(role => role.label).join(', ')} · ${found}/${report.roles.length} roles found`;
+    diagnosticsSummary.className = `diagnostics-summary${missingRequired.length > 0 ? ' unhealthy' : ''}`;
+
+    diagnosticsList.replaceChildren(...report.roles.map(role => {
+        const card = document.createElement('div');
+        card.className = `diagnostics-role ${role.found ? 'found' : 'missing'}${role.required ? ' required' : ''}`;
+
+        const header = document.createElement('div');
+        header.className = 'diagnostics-role-header';
+        const badge = document.createElement('span');
+        badge.className = 'status-badge';
+        badge.textContent = role.found ? 'FOUND' : (role.required ? 'MISSING' : 'NOT SHOWN');
+        const label = document.createElement('span');
+        label.textContent = role.label;
+        header.append(badge, label);
+        card.appendChild(header);
+
+        role.selectors.forEach(result => {
+            const row = document.createElement('button');
+            row.className = 'diagnostics-selector';
+            if (result.count > 0) row.classList.add('matched');
+            if (result.selector === role.activeSelector) row.classList.add('active');
+            row.disabled = result.visible === 0;
+            row.title = result.error || result.sample || 'No match';
+
+            const selector = document.createElement('span');
+            selector.textContent = result.selector === role.learnedSelector
+                ? `${result.selector} (learned)`
+                : result.selector;
+            const count = document.createElement('span');
+            count.textContent = result.error
+                ? 'invalid'
+                : `${result.count}${result.visible !== result.count ? ` (${result.visible} visible)` : ''}`;
+            row.append(selector, count);
+
+            row.addEventListener('click', () => {
+                sendToTargetTab({ type: 'HIGHLIGHT_SELECTOR', selector: result.selector });
+            });
+            card.appendChild(row);
+        });
+
+        return card;
+    }));
+}
+
+/**
+ * Download the latest report with extension, settings and run context for bug reports
+ */
+exportReportBtn.addEventListener('click', async () => {
+    if (!diagnosticsReport) return;
+
+    const { selectorOverrides = {}, retrySettings, pairingMode } =
+        await chrome.storage.sync.get(['selectorOverrides', 'retrySettings', 'pairingMode']);
+    const { runId, totalItems, itemResults = {}, logs = [] } =
+        await chrome.storage.local.get(['runId', 'totalItems', 'itemResults', 'logs']);
+
+    const statusCounts = {};
+    Object.values(itemResults).forEach(result => {
+        statusCounts[result.status] = (statusCounts[result.status] || 0) + 1;
+    });
+
+    const report = {
+        format: HEALTH_REPORT_FORMAT,
+        version: 1,
+        extensionVersion: chrome.runtime.getManifest().version,
+        userAgent: navigator.userAgent,
+        page: diagnosticsReport,
+        settings: {
+            customizedSelectorRoles: Object.keys(selectorOverrides),
+            selectorOverrides,
+            retrySettings: retrySettings || null,
+            pairingMode: pairingMode || null
+        },
+        run: runId ? { runId, runState, totalItems, statusCounts } : null,
+        recentLogs: logs.slice(-20)
+    };
+
+    downloadTextFile(
+        JSON.stringify(report, null, 2),
+        `meta-ai-health-${diagnosticsReport.generatedAt.replace(/[:.]/g, '-')}.json`,
+        'application/json'
+    );
+});
+
+// ============================================================================
+// ACTIVITY LOG
+// ============================================================================
+
+/**
+ * Log from the sidebar: shown at once and stored through background.js (log.js)
+ * @param {string} message - Plain text; file names and errors are never parsed as HTML
+ * @param {string} [level] - debug | info | success | warn | error
+ * @param {{index?: number, step?: string, save?: boolean}} [context] - save: false only shows the entry
+ */
+function addLogEntry(message, level = 'info', context = {}) {
+    const entry = createLogEntry('sidebar', level, message, { runId: currentRunId, ...context });
+    showLogEntry(entry);
+    if (context.save !== false) {
+        sendLogEntry(entry);
+    }
+}
+
+/**
+ * Add an entry from any source to the view, keeping the same bound as the stored buffer
+ */
+function showLogEntry(entry) {
+    logEntries.push(entry);
+    if (logEntries.length > LOG_BUFFER_SIZE) logEntries.shift();
+
+    if (matchesLogFilter(entry)) {
+        logContainer.appendChild(renderLogEntry(entry));
+        logContainer.scrollTop = logContainer.scrollHeight;
+    }
+}
+
+/**
+ * Whether an entry passes the level and item filters
+ */
+function matchesLogFilter(entry) {
+    if (!isLogLevelAtLeast(entry, logLevelFilter.value)) return false;
+    const item = parseInt(logItemFilter.value, 10);
+    return !Number.isInteger(item) || entry.index === item - 1;
+}
+
+/**
+ * Build the element of one entry; all text goes through textContent
+ */
+function renderLogEntry(entry) {
+    const row = document.createElement('div');
+    row.className = `log-entry ${entry.level}`;
+
+    const time = document.createElement('span');
+    time.className = 'time';
+    time.textContent = `[${new Date(entry.time).toLocaleTimeString('en-US', {
         hour12: false,
         hour: '2-digit',
         minute: '2-digit',
         second: '2-digit'
-    });
+    })}]`;
+    row.appendChild(time);
+
+    // Where the entry came from, when it isn't the sidebar's own run-level note
+    const tags = [
+        entry.source !== 'sidebar' ? entry.source : null,
+        entry.index !== null ? `#${entry.index + 1}` : null,
+        entry.step
+    ].filter(Boolean);
+    if (tags.length > 0) {
+        const tag = document.createElement('span');
+        tag.className = 'log-tag';
+        tag.textContent = tags.join(' · ');
+        row.appendChild(tag);
+    }
+
+    row.appendChild(document.createTextNode(entry.message));
+    return row;
+}
 
-    entry.innerHTML = `<span class="time">[${time}]</span> ${message}`;
-    logContainer.appendChild(entry);
+/**
+ * Re-render the view after a filter change
+ */
+function renderLog() {
+    logContainer.replaceChildren(...logEntries.filter(matchesLogFilter).map(renderLogEntry));
     logContainer.scrollTop = logContainer.scrollHeight;
+}
 
-    // Save to storage for persistence
-    if (save) {
-        chrome.storage.local.get(['logs'], (result) => {
-            const logs = result.logs || [];
-            logs.push({ time, message, type });
-            // Keep only last 50 entries
-            if (logs.length > 50) logs.shift();
-            chrome.storage.local.set({ logs });
-        });
-    }
+/**
+ * Load the stored ring buffer into the view
+ */
+async function loadLog() {
+    const { logs = [] } = await chrome.storage.local.get(['logs']);
+    logEntries = logs.filter(isLogEntry);
+    renderLog();
 }
 
+logLevelFilter.addEventListener('change', renderLog);
+logItemFilter.addEventListener('input', renderLog);
+
+/**
+ * Download the entries that pass the filters as JSON Lines
+ */
+exportLogBtn.addEventListener('click', () => {
+    const entries = logEntries.filter(matchesLogFilter);
+    downloadTextFile(toJsonLines(entries), `meta-ai-log-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`, 'application/x-ndjson');
+});
+
 // Initialize
 init();
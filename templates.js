@@ -0,0 +1,120 @@
+/**
+ * templates.js - Prompt template expansion
+ *
+ * Loaded by sidebar.html before sidebar.js. Every prompt is treated as a
+ * template and expanded once per queue item:
+ *
+ * - Variables:  {filename} {index} {total} {date}
+ * - Pools:      {slow|fast} camera pan   -> one option picked at random
+ * - Snippets:   {@style}                 -> text of the snippet named "style"
+ *
+ * Pools may be nested ({a|{b|c}}) and snippets may contain variables, pools
+ * and other snippets. Unknown placeholders are left as written.
+ *
+ * Random choices come from a PRNG seeded with "<seed>:<index>", so the same
+ * seed always yields the same prompt for an item, independent of the others.
+ */
+
+const TEMPLATE_MAX_PASSES = 10;  // Bounds nesting and snippet recursion
+
+/**
+ * 32-bit FNV-1a hash of a string, used to turn a seed into PRNG state
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32)
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+function createRng(seed) {
+    let state = hashString(String(seed));
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a short random seed for a new run
+ */
+function createSeed() {
+    return Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Parse snippet definitions, one "name = text" per line
+ * Lines without "=" and lines starting with # are ignored
+ * @returns {Object<string, string>}
+ */
+function parseSnippets(text) {
+    const snippets = {};
+    for (const line of text.split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+        const eq = trimmed.indexOf('=');
+        if (eq <= 0) continue;
+        const name = trimmed.slice(0, eq).trim().replace(/^@/, '');
+        if (/^[\w-]+$/.test(name)) {
+            snippets[name] = trimmed.slice(eq + 1).trim();
+        }
+    }
+    return snippets;
+}
+
+/**
+ * Expand one template
+ * @param {string} template
+ * @param {Object<string, string|number>} variables - e.g. { filename, index, total, date }
+ * @param {Object<string, string>} snippets - From parseSnippets
+ * @param {() => number} rng - From createRng
+ */
+function expandTemplate(template, variables, snippets, rng) {
+    let text = template;
+
+    // Innermost placeholders are replaced first; repeat until nothing changes
+    for (let pass = 0; pass < TEMPLATE_MAX_PASSES; pass++) {
+        const next = text.replace(/\{([^{}]*)\}/g, (match, token) => {
+            if (token.startsWith('@')) {
+                const name = token.slice(1).trim();
+                return Object.hasOwn(snippets, name) ? snippets[name] : match;
+            }
+            if (token.includes('|')) {
+                const options = token.split('|');
+                return options[Math.floor(rng() * options.length)];
+            }
+            const name = token.trim();
+            return Object.hasOwn(variables, name) ? String(variables[name]) : match;
+        });
+        if (next === text) break;
+        text = next;
+    }
+
+    return text.replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Expand the prompt of every queue item
+ * @param {{prompt: string, file: File|null}[]} items - file is null for prompt-only items
+ * @param {string} seed
+ * @param {Object<string, string>} snippets
+ * @returns {string[]} Expanded prompts in item order
+ */
+function expandItemPrompts(items, seed, snippets) {
+    const date = new Date().toISOString().slice(0, 10);
+    return items.map((item, index) => expandTemplate(item.prompt, {
+        filename: item.file ? item.file.name.replace(/\.[^.]+$/, '') : '',
+        index: index + 1,
+        total: items.length,
+        date
+    }, snippets, createRng(`${seed}:${index}`)));
+}